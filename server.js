@@ -12,6 +12,13 @@ dotenv.config({ path: './.env' });
 
 const mongoose = require('mongoose');
 const app = require('./src/app');
+const schedulerService = require('./src/services/schedulerService');
+const signingService = require('./src/services/signingService');
+const retentionService = require('./src/services/retentionService');
+const sessionService = require('./src/services/sessionService');
+
+// Load the PDF signing keys up front so configuration problems show at startup
+signingService.reload();
 
 // Connect to MongoDB
 const DB = process.env.MONGODB_URI;
@@ -21,7 +28,17 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log('✅ MongoDB connection established successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connection established successfully');
+    // Replace the old audit log TTL before anything purges
+    return retentionService.prepare();
+  })
+  .then(() => sessionService.removeLegacyTokens())
+  .then(() => {
+    // Reminders, expiry and audit purges run in the background once the
+    // database is up
+    schedulerService.start();
+  })
   .catch((err) => {
     console.log('❌ MongoDB connection error:', err);
     process.exit(1);
@@ -41,10 +58,21 @@ process.on('unhandledRejection', (err) => {
     process.exit(1);
   });
 });
+
+// Handle SIGHUP — reload signing keys after a key rotation without restarting
+process.on('SIGHUP', () => {
+  console.log('🔑 SIGHUP RECEIVED. Reloading signing keys');
+  try {
+    signingService.reload();
+  } catch (err) {
+    console.log('❌ Could not reload signing keys:', err.message);
+  }
+});
 //
 // Handle SIGTERM
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  schedulerService.stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -12,6 +12,11 @@ const path = require('path');
 const authRoutes = require('./routes/authRoutes');
 const documentRoutes = require('./routes/documentRoutes');
 const signatureRoutes = require('./routes/signatureRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const bulkSendRoutes = require('./routes/bulkSendRoutes');
+const verificationRoutes = require('./routes/verificationRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 const errorMiddleware = require('./middleware/errorMiddleware');
 const AppError = require('./utils/AppError');
 
@@ -77,6 +82,11 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/sign', signatureRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/bulk-send', bulkSendRoutes);
+app.use('/api/verify', verificationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -89,6 +99,11 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       documents: '/api/documents',
       sign: '/api/sign',
+      templates: '/api/templates',
+      bulkSend: '/api/bulk-send',
+      verify: '/api/verify',
+      audit: '/api/audit',
+      organizations: '/api/organizations',
     },
   });
 });
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Audit log retention. Entries are kept according to what they are about:
+//
+// - Entries of a document are kept for the whole life of the document, then
+//   for the period set for the status it had when it was deleted ("signed
+//   contracts: 7 years after deletion").
+// - Entries with no document are kept per action category (login noise,
+//   template edits, ...) counted from when they were written.
+//
+// Periods are "30d", "12m", "7y" or "forever". Defaults can be overridden
+// with a JSON file at AUDIT_RETENTION_FILE, e.g.
+//   {
+//     "categories": { "auth": "90d" },
+//     "documents": { "signed": "10y", "draft": "7d" }
+//   }
+// Documents under legal hold are never purged.
+// ---------------------------------------------------------------------------
+
+const DEFAULTS = {
+  categories: {
+    auth: '30d',
+    template: '2y',
+    bulk_send: '1y',
+    verification: '1y',
+    // Organization membership changes
+    organization: '2y',
+    // Purge runs themselves
+    retention: 'forever',
+    system: '1y',
+  },
+  documents: {
+    signed: '7y',
+    voided: '1y',
+    rejected: '1y',
+    expired: '1y',
+    sent: '1y',
+    draft: '30d',
+    // Documents whose status at deletion is unknown
+    default: '1y',
+  },
+};
+
+const UNIT_DAYS = { d: 1, m: 30, y: 365 };
+
+// "30d" / "12m" / "7y" to days; null means keep forever
+const parsePeriod = (value, name) => {
+  if (value === null || value === 'forever') return null;
+  const match = String(value).trim().match(/^(\d+)\s*([dmy])$/i);
+  if (!match) {
+    throw new Error(`Invalid audit retention period for ${name}: "${value}"`);
+  }
+  return Number(match[1]) * UNIT_DAYS[match[2].toLowerCase()];
+};
+
+const parseGroup = (group, overrides = {}, prefix) => {
+  const days = {};
+  for (const [key, value] of Object.entries({ ...group, ...overrides })) {
+    days[key] = parsePeriod(value, `${prefix}.${key}`);
+  }
+  return days;
+};
+
+// Retention periods in days (null = forever) and how often the purge runs
+const loadRetentionConfig = () => {
+  const overrides = process.env.AUDIT_RETENTION_FILE
+    ? JSON.parse(fs.readFileSync(path.resolve(process.env.AUDIT_RETENTION_FILE), 'utf8'))
+    : {};
+
+  return {
+    categories: parseGroup(DEFAULTS.categories, overrides.categories, 'categories'),
+    documents: parseGroup(DEFAULTS.documents, overrides.documents, 'documents'),
+    purgeIntervalHours: parseInt(process.env.AUDIT_PURGE_INTERVAL_HOURS) || 24,
+  };
+};
+
+module.exports = loadRetentionConfig;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Server signing keys used to seal finalized PDFs.
+//
+// Several keys can be configured at once so that a key can be rotated without
+// downtime: add the new key, point activeKeyId at it, and keep the old entry
+// (optionally with retiredAt) so documents sealed with it can still be
+// matched to their key. Two ways to configure:
+//
+// 1. SIGNING_KEYS_FILE — a JSON file:
+//    {
+//      "activeKeyId": "2026-01",
+//      "keys": [
+//        { "id": "2025-01", "p12": "keys/seal-2025.p12",
+//          "passphraseEnv": "SIGNING_P12_PASSPHRASE_2025", "retiredAt": "2026-01-01" },
+//        { "id": "2026-01", "cert": "keys/seal-2026.crt", "key": "keys/seal-2026.key",
+//          "chain": ["keys/intermediate.crt"], "passphraseEnv": "SIGNING_KEY_PASSPHRASE_2026" }
+//      ]
+//    }
+//    Relative paths are resolved against the JSON file's directory.
+//
+// 2. A single key from environment variables — either SIGNING_P12_PATH (+
+//    SIGNING_P12_PASSPHRASE) or SIGNING_CERT_PATH + SIGNING_KEY_PATH (+
+//    SIGNING_KEY_PASSPHRASE, SIGNING_CHAIN_PATH as a comma-separated list).
+//
+// SIGNING_ACTIVE_KEY_ID overrides activeKeyId from the file.
+// ---------------------------------------------------------------------------
+
+const splitList = (value) =>
+  (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+const fromFile = (filePath) => {
+  const absolute = path.resolve(filePath);
+  const baseDir = path.dirname(absolute);
+  const config = JSON.parse(fs.readFileSync(absolute, 'utf8'));
+  const resolve = (p) => (p ? path.resolve(baseDir, p) : undefined);
+
+  return {
+    activeKeyId: config.activeKeyId,
+    keys: (config.keys || []).map((key) => ({
+      id: key.id,
+      p12Path: resolve(key.p12),
+      certPath: resolve(key.cert),
+      keyPath: resolve(key.key),
+      chainPaths: (key.chain || []).map(resolve),
+      // Prefer a named environment variable over a passphrase in the file
+      passphrase: key.passphraseEnv ? process.env[key.passphraseEnv] : key.passphrase,
+      retiredAt: key.retiredAt ? new Date(key.retiredAt) : null,
+    })),
+  };
+};
+
+const fromEnv = () => {
+  const id = process.env.SIGNING_KEY_ID || 'default';
+
+  if (process.env.SIGNING_P12_PATH) {
+    return {
+      activeKeyId: id,
+      keys: [{
+        id,
+        p12Path: path.resolve(process.env.SIGNING_P12_PATH),
+        passphrase: process.env.SIGNING_P12_PASSPHRASE || '',
+        chainPaths: [],
+        retiredAt: null,
+      }],
+    };
+  }
+
+  if (process.env.SIGNING_CERT_PATH && process.env.SIGNING_KEY_PATH) {
+    return {
+      activeKeyId: id,
+      keys: [{
+        id,
+        certPath: path.resolve(process.env.SIGNING_CERT_PATH),
+        keyPath: path.resolve(process.env.SIGNING_KEY_PATH),
+        chainPaths: splitList(process.env.SIGNING_CHAIN_PATH).map((p) => path.resolve(p)),
+        passphrase: process.env.SIGNING_KEY_PASSPHRASE,
+        retiredAt: null,
+      }],
+    };
+  }
+
+  return { activeKeyId: null, keys: [] };
+};
+
+// Read the key configuration (no key material is loaded here)
+const loadSigningConfig = () => {
+  const config = process.env.SIGNING_KEYS_FILE
+    ? fromFile(process.env.SIGNING_KEYS_FILE)
+    : fromEnv();
+
+  return {
+    ...config,
+    activeKeyId: process.env.SIGNING_ACTIVE_KEY_ID || config.activeKeyId || null,
+    reason: process.env.SIGNING_REASON || 'Document completed and sealed by SignatureSaaS',
+    location: process.env.SIGNING_LOCATION || '',
+    contactInfo: process.env.SIGNING_CONTACT_INFO || '',
+    // Room reserved in the PDF for the CMS signature (certificates, timestamp)
+    placeholderBytes: parseInt(process.env.SIGNING_PLACEHOLDER_BYTES) || 16384,
+  };
+};
+
+module.exports = loadSigningConfig;
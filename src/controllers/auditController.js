@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { sha256 } = require('../utils/fileHash');
+const auditExportService = require('../services/auditExportService');
+
+// Safe for a Content-Disposition filename
+const fileSafe = (text) => String(text).replace(/[^\w.\- ]+/g, '_').trim() || 'audit';
+
+// Send the export in the requested format and record it (with its content
+// hash) in the audit trail
+const sendExport = async (req, res, { scope, subject, filename, documentId }) => {
+  const format = auditExportService.getFormat(req.query.format);
+  const filters = auditExportService.parseFilters(req.query);
+  const query = auditExportService.buildQuery(scope, filters);
+  const exportedAt = new Date();
+
+  let result;
+  if (format.name === 'pdf') {
+    const { pdf, ...rest } = await auditExportService.buildPdf(query, { subject, filters, exportedAt });
+    result = { ...rest, fileHash: sha256(pdf) };
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileSafe(filename)}.pdf"`);
+    res.setHeader('X-Content-SHA256', result.contentHash);
+    res.send(pdf);
+  } else {
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileSafe(filename)}.${format.extension}"`);
+
+    try {
+      result = await auditExportService.stream(res, format.name, query, { exportedAt });
+    } catch (error) {
+      // The response has started, so the error can't be sent as JSON
+      console.error('❌ Audit export failed:', error.message);
+      res.destroy(error);
+      return;
+    }
+    res.end();
+  }
+
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId,
+    action: 'audit_exported',
+    metadata: {
+      scope: Object.keys(scope)[0],
+      subjectId: Object.values(scope)[0],
+      format: format.name,
+      filters,
+      entries: result.count,
+      contentHash: result.contentHash,
+      fileHash: result.fileHash,
+      exportedAt,
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+};
+
+// ---------------------------------------------------------------------------
+// GET /api/audit/documents/:id/export — anyone who can view the document
+// ?format=csv|ndjson|pdf&from=&to=&actions=document_sent,document_signed
+// ---------------------------------------------------------------------------
+exports.exportDocumentAudit = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+
+  await sendExport(req, res, {
+    scope: { documentId: document._id },
+    documentId: document._id,
+    filename: `${document.title} - audit`,
+    subject: {
+      title: document.title,
+      lines: [
+        ['Document ID', document._id.toString()],
+        ['Owner', `${document.owner.name} (${document.owner.email})`],
+        ['Status', document.status],
+      ],
+    },
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/audit/users/:userId/export — everything a user did. Users can
+// export their own activity ("me"), admins anyone's. Same query options.
+// ---------------------------------------------------------------------------
+exports.exportUserAudit = catchAsync(async (req, res, next) => {
+  const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+
+  if (userId !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You can only export your own audit events.', 403));
+  }
+  if (!mongoose.isValidObjectId(userId)) {
+    return next(new AppError('User not found.', 404));
+  }
+
+  // Deleted users' events can still be exported by an admin
+  const user = await User.findById(userId).select('name email');
+
+  await sendExport(req, res, {
+    scope: { userId: new mongoose.Types.ObjectId(userId) },
+    filename: `${user?.name || userId} - audit`,
+    subject: {
+      title: user ? `${user.name} (${user.email})` : `Deleted user ${userId}`,
+      lines: [['User ID', userId]],
+    },
+  });
+});
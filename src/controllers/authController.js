@@ -1,42 +1,35 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
 const { formatSuccess } = require('../utils/responseFormatter');
 const emailService = require('../services/emailService');
-
-// Generate tokens
-const signToken = (id) => {
-  const accessToken = jwt.sign({ id }, process.env.JWT_ACCESS_SECRET, {
-    expiresIn: process.env.JWT_ACCESS_EXPIRE,
-  });
-
-  const refreshToken = jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE,
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+
+// Create a session for this device and send its tokens (extra is merged
+// into the data). The client may name the device with deviceName.
+const createSendToken = async (user, statusCode, req, res, extra = {}) => {
+  const { session, accessToken, refreshToken } = await sessionService.create(user, {
+    deviceName: req.body.deviceName,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
   });
 
-  return { accessToken, refreshToken };
-};
-
-// Create and send response with tokens
-const createSendToken = async (user, statusCode, req, res) => {
-  const { accessToken, refreshToken } = signToken(user._id);
-
-  // Save refresh token to user document
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
-
   // Remove password from output
   user.password = undefined;
-  user.refreshToken = undefined;
+  if (user.twoFactor) {
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+  }
 
   // Set cookie options
   const cookieOptions = {
-    expires: new Date(
-      Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
-    ),
+    expires: session.expiresAt,
     httpOnly: true,
     secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
     sameSite: 'strict',
@@ -51,10 +44,102 @@ const createSendToken = async (user, statusCode, req, res) => {
       user,
       accessToken,
       refreshToken,
+      sessionId: session._id,
+      ...extra,
     }, 'Authentication successful')
   );
 };
 
+// Sign the user in once every factor has been checked
+const completeLogin = async (user, req, res, { metadata = {}, extra } = {}) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0 || user.lockUntil) {
+    await user.updateOne({
+      $set: { loginAttempts: 0 },
+      $unset: { lockUntil: 1 },
+    });
+  }
+
+  // Update last login
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  // Log successful login
+  await AuditLog.log({
+    userId: user._id,
+    action: 'login_success',
+    metadata: { email: user.email, ...metadata },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  // Send token response
+  return createSendToken(user, 200, req, res, extra);
+};
+
+// Check a TOTP code or a recovery code (user loaded with the twoFactor
+// secret fields). Both are used up atomically so a code can't be accepted
+// twice, even by parallel requests. Returns 'totp', 'recovery_code' or null.
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = twoFactorService.hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return modifiedCount ? 'recovery_code' : null;
+  }
+
+  const step = twoFactorService.verifyCode(
+    twoFactorService.decryptSecret(user.twoFactor.secret),
+    code,
+    user.twoFactor.lastUsedStep
+  );
+  if (step === null) return null;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return modifiedCount ? 'totp' : null;
+};
+
+const logTwoFactorFailure = (user, req, metadata) =>
+  AuditLog.log({
+    userId: user._id,
+    action: 'two_factor_failed',
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    status: 'failure',
+  });
+
+const needsTwoFactor = (user) => Boolean(user.twoFactor?.enabled || user.twoFactor?.required);
+
+// With 2FA the password only earns a short-lived challenge token, traded for
+// the real tokens by POST /2fa/verify (or, when an admin requires 2FA and the
+// user hasn't set it up, by enrolling)
+const sendTwoFactorChallenge = (user, res) => {
+  const purpose = user.twoFactor.enabled ? 'two_factor' : 'two_factor_setup';
+  res.status(200).json(
+    formatSuccess(
+      {
+        twoFactorRequired: true,
+        enrollmentRequired: purpose === 'two_factor_setup',
+        challengeToken: twoFactorService.issueChallengeToken(user, purpose),
+      },
+      purpose === 'two_factor'
+        ? 'Enter the code from your authenticator app.'
+        : 'Your account requires two-factor authentication. Please set it up to continue.'
+    )
+  );
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // Register new user
 exports.register = catchAsync(async (req, res, next) => {
   const { name, email, password } = req.body;
@@ -82,7 +167,7 @@ exports.register = catchAsync(async (req, res, next) => {
   });
 
   // Send token response
-  createSendToken(user, 201, req, res);
+  return createSendToken(user, 201, req, res);
 });
 
 // Login user
@@ -129,51 +214,73 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Incorrect email or password.', 401));
   }
 
-  // Reset login attempts on successful login
-  if (user.loginAttempts > 0 || user.lockUntil) {
-    await user.updateOne({
-      $set: { loginAttempts: 0 },
-      $unset: { lockUntil: 1 },
-    });
+  // Failed attempts are only reset once every factor has passed
+  if (needsTwoFactor(user)) {
+    return sendTwoFactorChallenge(user, res);
   }
 
-  // Update last login
-  user.lastLogin = Date.now();
-  await user.save({ validateBeforeSave: false });
+  await completeLogin(user, req, res);
+});
 
-  // Log successful login
-  await AuditLog.log({
-    userId: user._id,
-    action: 'login_success',
-    metadata: { email: user.email },
-    ipAddress: req.ip,
-    userAgent: req.get('user-agent'),
-  });
+// Second step of a two-step login — a code from the authenticator app or a
+// recovery code, with the challenge token from POST /login
+exports.verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
 
-  // Send token response
-  createSendToken(user, 200, req, res);
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide the challenge token and a code.', 400));
+  }
+
+  const decoded = twoFactorService.verifyChallengeToken(challengeToken, ['two_factor']);
+  const user = decoded && (await User.findById(decoded.id).select(`+loginAttempts +lockUntil ${TWO_FACTOR_FIELDS}`));
+
+  if (!user || !user.isActive || !user.twoFactor?.enabled || user.changedPasswordAfter(decoded.iat)) {
+    return next(new AppError('Your sign-in session has expired. Please log in again.', 401));
+  }
+
+  if (user.isLocked()) {
+    const lockTime = Math.ceil((user.lockUntil - Date.now()) / (60 * 60 * 1000));
+    return next(
+      new AppError(`Account is locked. Please try again after ${lockTime} hours.`, 401)
+    );
+  }
+
+  const method = await consumeSecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    await user.incLoginAttempts();
+    await logTwoFactorFailure(user, req, { stage: 'login', method: recoveryCode ? 'recovery_code' : 'totp' });
+    return next(new AppError('Invalid authentication code.', 401));
+  }
+
+  if (method === 'recovery_code') {
+    await AuditLog.log({
+      userId: user._id,
+      action: 'two_factor_recovery_used',
+      metadata: { remaining: user.twoFactor.recoveryCodes.length - 1 },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  }
+
+  await completeLogin(user, req, res, { metadata: { twoFactor: method } });
 });
 
-// Logout user
+// Logout user — ends the session the refresh token belongs to
 exports.logout = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
 
-  // Clear refresh token from database
-  if (refreshToken) {
-    await User.findOneAndUpdate(
-      { refreshToken },
-      { $unset: { refreshToken: 1 } }
-    );
-  }
+  const session = refreshToken ? await sessionService.revokeByToken(refreshToken, 'logout') : null;
 
   // Clear cookie
   res.clearCookie('refreshToken');
 
   // Log logout
-  if (req.user) {
+  if (session) {
     await AuditLog.log({
-      userId: req.user._id,
+      userId: session.user,
       action: 'logout',
+      metadata: { sessionId: session._id },
       ipAddress: req.ip,
       userAgent: req.get('user-agent'),
     });
@@ -184,7 +291,7 @@ exports.logout = catchAsync(async (req, res, next) => {
   );
 });
 
-// Refresh access token
+// Refresh access token — the refresh token is single use and replaced too
 exports.refreshToken = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
 
@@ -192,30 +299,16 @@ exports.refreshToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Refresh token is required.', 400));
   }
 
-  // Verify refresh token
-  const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-  // Find user with this token
-  const user = await User.findOne({
-    _id: decoded.id,
-    refreshToken: refreshToken,
-  });
-
-  if (!user) {
-    return next(new AppError('Invalid refresh token.', 401));
-  }
-
-  // Generate new tokens
-  const { accessToken, refreshToken: newRefreshToken } = signToken(user._id);
-
-  // Update refresh token in database
-  user.refreshToken = newRefreshToken;
-  await user.save({ validateBeforeSave: false });
+  const { user, session, accessToken, refreshToken: newRefreshToken } = await sessionService.rotate(
+    refreshToken,
+    { ipAddress: req.ip, userAgent: req.get('user-agent') }
+  );
 
   // Log token refresh
   await AuditLog.log({
     userId: user._id,
     action: 'token_refreshed',
+    metadata: { sessionId: session._id, generation: session.generation },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
@@ -254,16 +347,21 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // Every device signs in again with the new password; this one gets a new
+  // session below
+  const revokedSessions = await sessionService.revokeAll(user._id, 'password_changed');
+
   // Log password change
   await AuditLog.log({
     userId: user._id,
     action: 'password_changed',
+    metadata: { revokedSessions },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
 
   // Send new tokens
-  createSendToken(user, 200, req, res);
+  return createSendToken(user, 200, req, res);
 });
 
 // Forgot password
@@ -340,14 +438,285 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
+  const revokedSessions = await sessionService.revokeAll(user._id, 'password_reset');
+
   // Log password reset
   await AuditLog.log({
     userId: user._id,
     action: 'password_reset_completed',
+    metadata: { revokedSessions },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
 
+  // A reset link proves the email address, not the second factor
+  if (needsTwoFactor(user)) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
   // Send new tokens
-  createSendToken(user, 200, req, res);
-});
\ No newline at end of file
+  return createSendToken(user, 200, req, res);
+});
+
+// ---------------------------------------------------------------------------
+// Two-factor enrollment and management. Setup and enable also accept the
+// 'two_factor_setup' challenge token from a login when an admin requires 2FA
+// (see protectTwoFactorSetup).
+// ---------------------------------------------------------------------------
+
+// Start enrollment — a new secret, its provisioning URI and a QR code of it
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = req.user;
+
+  if (user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled.', 400));
+  }
+
+  const secret = twoFactorService.generateSecret();
+  const otpauthUrl = twoFactorService.getProvisioningUri(secret, user.email);
+
+  // Only becomes active once confirmed with a first code
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': twoFactorService.encryptSecret(secret) } }
+  );
+
+  res.status(200).json(
+    formatSuccess(
+      { secret, otpauthUrl, qrCode: await twoFactorService.getQrCode(otpauthUrl) },
+      'Scan the QR code with your authenticator app, then confirm with a code.'
+    )
+  );
+});
+
+// Confirm enrollment with a first code. The recovery codes are returned
+// this one time only.
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(`+loginAttempts +lockUntil +twoFactor.pendingSecret ${TWO_FACTOR_FIELDS}`);
+
+  if (user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled.', 400));
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new AppError('Please start two-factor setup first.', 400));
+  }
+
+  const secret = twoFactorService.decryptSecret(user.twoFactor.pendingSecret);
+  const step = twoFactorService.verifyCode(secret, req.body.code);
+  if (step === null) {
+    await logTwoFactorFailure(user, req, { stage: 'enrollment' });
+    return next(new AppError('Invalid authentication code. Please check your app and try again.', 400));
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.log({
+    userId: user._id,
+    action: 'two_factor_enabled',
+    metadata: { duringLogin: Boolean(req.twoFactorChallenge), required: user.twoFactor.required },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  // Enrolling was the last step of the login
+  if (req.twoFactorChallenge) {
+    return completeLogin(user, req, res, {
+      metadata: { twoFactor: 'totp' },
+      extra: { recoveryCodes: codes },
+    });
+  }
+
+  res.status(200).json(
+    formatSuccess({ recoveryCodes: codes }, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.')
+  );
+});
+
+// Turn 2FA off — needs the password and a code (or a recovery code)
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled.', 400));
+  }
+  if (user.twoFactor.required) {
+    return next(new AppError('An administrator requires two-factor authentication for your account.', 403));
+  }
+
+  if (!password || !(await user.correctPassword(password, user.password))) {
+    return next(new AppError('Your current password is incorrect.', 401));
+  }
+
+  if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+    await logTwoFactorFailure(user, req, { stage: 'disable' });
+    return next(new AppError('Invalid authentication code.', 401));
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1,
+      },
+    }
+  );
+
+  await AuditLog.log({
+    userId: user._id,
+    action: 'two_factor_disabled',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(null, 'Two-factor authentication disabled')
+  );
+});
+
+// Replace the recovery codes (e.g. after using some) — needs a current code
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled.', 400));
+  }
+
+  if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+    await logTwoFactorFailure(user, req, { stage: 'recovery_codes' });
+    return next(new AppError('Invalid authentication code.', 401));
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+  await AuditLog.log({
+    userId: user._id,
+    action: 'two_factor_recovery_regenerated',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ recoveryCodes: codes }, 'New recovery codes generated. The old ones no longer work.')
+  );
+});
+
+// Admin — require (or stop requiring) 2FA for a user. Requiring it signs the
+// user out, so their next login goes through enrollment.
+exports.setTwoFactorRequirement = catchAsync(async (req, res, next) => {
+  const { required } = req.body;
+
+  if (typeof required !== 'boolean') {
+    return next(new AppError('Please provide required: true or false.', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $set: { 'twoFactor.required': required } },
+    { new: true }
+  );
+  if (!user) {
+    return next(new AppError('User not found.', 404));
+  }
+  if (required) {
+    await sessionService.revokeAll(user._id, 'two_factor_required');
+  }
+
+  await AuditLog.log({
+    userId: req.user._id,
+    action: 'two_factor_requirement_changed',
+    metadata: { targetUserId: user._id, email: user.email, required, enrolled: user.twoFactor.enabled },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(
+      { user },
+      required ? 'Two-factor authentication is now required for this user' : 'Two-factor authentication is now optional for this user'
+    )
+  );
+});
+
+// ---------------------------------------------------------------------------
+// Sessions — the devices the user is signed in on
+// ---------------------------------------------------------------------------
+
+// List active sessions; the one making the request is marked current
+exports.getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await sessionService.listActive(req.user._id);
+
+  res.status(200).json(
+    formatSuccess(
+      {
+        sessions: sessions.map((session) => ({
+          _id: session._id,
+          deviceName: session.deviceName,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+      'Sessions retrieved successfully'
+    )
+  );
+});
+
+// Sign one device out
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await sessionService.revoke(req.params.id, req.user._id, 'user')
+    : null;
+  if (!session) {
+    return next(new AppError('Session not found.', 404));
+  }
+
+  await AuditLog.log({
+    userId: req.user._id,
+    action: 'session_revoked',
+    metadata: { sessionId: session._id, deviceName: session.deviceName, current: req.params.id === req.sessionId },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(null, 'Session revoked')
+  );
+});
+
+// Sign out everywhere — or everywhere else with ?keepCurrent=true
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === 'true' && req.sessionId;
+  const revoked = await sessionService.revokeAll(req.user._id, 'user', {
+    except: keepCurrent ? req.sessionId : undefined,
+  });
+
+  if (!keepCurrent) res.clearCookie('refreshToken');
+
+  await AuditLog.log({
+    userId: req.user._id,
+    action: 'session_revoked',
+    metadata: { all: true, keepCurrent: Boolean(keepCurrent), revoked },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ revoked }, `${revoked} session${revoked === 1 ? '' : 's'} revoked`)
+  );
+});
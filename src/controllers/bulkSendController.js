@@ -0,0 +1,134 @@
+const fs = require('fs');
+const BulkSendJob = require('../models/BulkSendJob');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { formatSuccess, formatPaginated } = require('../utils/responseFormatter');
+const bulkSendService = require('../services/bulkSendService');
+
+// Find a bulk send job owned by the current user
+const findOwnJob = async (req, next) => {
+  const job = await BulkSendJob.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!job) {
+    next(new AppError('Bulk send job not found.', 404));
+    return null;
+  }
+  return job;
+};
+
+// Start a bulk send: one document per CSV row, sent in the background
+exports.createBulkSend = catchAsync(async (req, res, next) => {
+  const { templateId, documentId, roleName, title } = req.body;
+
+  // CSV as an uploaded file or as text in the body
+  let csvText = req.body.csv;
+  if (req.file) {
+    csvText = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlinkSync(req.file.path);
+  }
+  if (!csvText) {
+    return next(new AppError('Please provide a CSV list of recipients.', 400));
+  }
+
+  let recipients = {};
+  if (req.body.recipients) {
+    try {
+      recipients = typeof req.body.recipients === 'string'
+        ? JSON.parse(req.body.recipients)
+        : req.body.recipients;
+    } catch (error) {
+      return next(new AppError('Invalid recipients format.', 400));
+    }
+  }
+
+  const job = await bulkSendService.createJob({
+    owner: req.user.id,
+    templateId,
+    documentId,
+    roleName,
+    recipients,
+    title,
+    csvText,
+  });
+
+  await AuditLog.log({
+    userId: req.user.id,
+    action: 'bulk_send_created',
+    metadata: {
+      bulkSendJobId: job._id,
+      source: job.source,
+      rows: job.rows.length,
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  bulkSendService.start(job._id);
+
+  res.status(202).json(
+    formatSuccess({ job }, 'Bulk send started', 202)
+  );
+});
+
+// List the current user's bulk send jobs (without per-row detail)
+exports.getMyBulkSends = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const query = { owner: req.user.id };
+
+  const jobs = await BulkSendJob.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limit);
+
+  const total = await BulkSendJob.countDocuments(query);
+
+  res.status(200).json(
+    formatPaginated(
+      jobs.map((job) => {
+        const { rows, ...summary } = job.toJSON();
+        return summary;
+      }),
+      page,
+      limit,
+      total,
+      'Bulk send jobs retrieved successfully'
+    )
+  );
+});
+
+// Job status: progress counters plus per-row results (?status=failed filters)
+exports.getBulkSend = catchAsync(async (req, res, next) => {
+  const job = await findOwnJob(req, next);
+  if (!job) return;
+
+  const result = job.toJSON();
+  if (req.query.status) {
+    result.rows = result.rows.filter((r) => r.status === req.query.status);
+  }
+
+  res.status(200).json(
+    formatSuccess({ job: result }, 'Bulk send job retrieved successfully')
+  );
+});
+
+// Retry every failed row of a job
+exports.retryFailedRows = catchAsync(async (req, res, next) => {
+  const job = await findOwnJob(req, next);
+  if (!job) return;
+
+  const retried = await bulkSendService.retryFailed(job);
+
+  await AuditLog.log({
+    userId: req.user.id,
+    action: 'bulk_send_retried',
+    metadata: { bulkSendJobId: job._id, retried },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(202).json(
+    formatSuccess({ job, retried }, `Retrying ${retried} failed row(s)`, 202)
+  );
+});
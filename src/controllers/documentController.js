@@ -9,84 +9,243 @@ const { formatSuccess, formatPaginated } = require('../utils/responseFormatter')
 const emailService = require('../services/emailService');
 const pdfService = require('../services/pdfService');
 const tokenService = require('../services/tokenService');
+const routingService = require('../services/routingService');
+const fieldService = require('../services/fieldService');
+const recipientService = require('../services/recipientService');
+const completionService = require('../services/completionService');
+const organizationService = require('../services/organizationService');
+
+// Parse the owner's reminder interval and signing deadline from the request
+// body into Document paths (only the options that were provided)
+const parseSchedulingOptions = ({ reminderIntervalDays, maxReminders, expiresAt }) => {
+  const options = {};
+
+  if (reminderIntervalDays !== undefined) {
+    options['reminderSettings.intervalDays'] = reminderIntervalDays;
+  }
+  if (maxReminders !== undefined) {
+    options['reminderSettings.maxReminders'] = maxReminders;
+  }
+
+  if (expiresAt === null || expiresAt === '') {
+    options.expiresAt = undefined;
+  } else if (expiresAt !== undefined) {
+    const deadline = new Date(expiresAt);
+    if (Number.isNaN(deadline.getTime()) || deadline.getTime() <= Date.now()) {
+      throw new AppError('Expiry date must be a valid date in the future.', 400);
+    }
+    options.expiresAt = deadline;
+  }
+
+  return options;
+};
+
+// Delete a request's uploaded PDFs when it is refused before a document
+// holds them
+const removeUploads = (req) => {
+  for (const file of [req.file, ...(req.files || [])]) {
+    if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  }
+};
+
+// Parse the owner's QR verification stamp settings (an object, or a JSON
+// string from multipart forms; `true` just turns the stamp on) into
+// Document paths
+const parseStampOptions = ({ verificationStamp }) => {
+  if (verificationStamp === undefined || verificationStamp === '') return {};
+
+  let stamp = verificationStamp;
+  if (typeof stamp === 'string') {
+    try {
+      stamp = JSON.parse(stamp);
+    } catch (error) {
+      throw new AppError('Invalid verificationStamp format.', 400);
+    }
+  }
+  if (typeof stamp === 'boolean') stamp = { enabled: stamp };
+  if (!stamp || typeof stamp !== 'object') {
+    throw new AppError('Invalid verificationStamp format.', 400);
+  }
+
+  const options = {};
+  for (const key of ['enabled', 'position', 'size', 'margin']) {
+    if (stamp[key] !== undefined) options[`verificationStamp.${key}`] = stamp[key];
+  }
+  return options;
+};
 
 // Upload new document
 exports.uploadDocument = catchAsync(async (req, res, next) => {
-  const { title, description, signers } = req.body;
+  const { title, description, signers, declinePolicy, allowDelegation } = req.body;
 
   if (!req.file) {
     return next(new AppError('Please upload a document file.', 400));
   }
 
-  // Parse signers if provided as JSON string
-  let signersArray = [];
-  if (signers) {
-    try {
-      signersArray = typeof signers === 'string' ? JSON.parse(signers) : signers;
-    } catch (error) {
-      return next(new AppError('Invalid signers format.', 400));
+  // Nothing keeps the upload if the request is refused
+  let document;
+  try {
+    // Parse signers if provided as JSON string
+    let signersArray = [];
+    if (signers) {
+      try {
+        signersArray = typeof signers === 'string' ? JSON.parse(signers) : signers;
+      } catch (error) {
+        throw new AppError('Invalid signers format.', 400);
+      }
     }
+
+    const schedulingOptions = parseSchedulingOptions(req.body);
+    const stampOptions = parseStampOptions(req.body);
+    // Created in a workspace when the user may send there
+    const organization = await organizationService.resolveWorkspace(req.user, req.body.organization);
+
+    // Get PDF metadata
+    const pdfMetadata = await pdfService.getPDFMetadata(req.file.path);
+
+    // Calculate file hash for integrity
+    const fileHash = crypto
+      .createHash('sha256')
+      .update(fs.readFileSync(req.file.path))
+      .digest('hex');
+
+    // Create document record
+    document = await Document.create({
+      title,
+      description,
+      owner: req.user.id,
+      organization,
+      originalFile: {
+        filename: req.file.filename,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+      },
+      signers: signersArray,
+      declinePolicy,
+      allowDelegation,
+      ...schedulingOptions,
+      ...stampOptions,
+      metadata: {
+        pageCount: pdfMetadata.pageCount,
+        fileHash,
+        lastModified: new Date(),
+      },
+      status: 'draft',
+    });
+  } catch (error) {
+    removeUploads(req);
+    throw error;
   }
 
-  // Get PDF metadata
-  const pdfMetadata = await pdfService.getPDFMetadata(req.file.path);
-
-  // Calculate file hash for integrity
-  const fileHash = crypto
-    .createHash('sha256')
-    .update(fs.readFileSync(req.file.path))
-    .digest('hex');
-
-  // Create document record
-  const document = await Document.create({
-    title,
-    description,
-    owner: req.user.id,
-    originalFile: {
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-    },
-    signers: signersArray,
+  // Log document creation
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId: document._id,
+    action: 'document_created',
     metadata: {
-      pageCount: pdfMetadata.pageCount,
-      fileHash,
-      lastModified: new Date(),
+      title: document.title,
+      fileSize: req.file.size,
     },
-    status: 'draft',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
   });
 
-  // Generate signing tokens for signers
-  for (const signer of document.signers) {
-    const token = document.generateSigningToken(signer.email);
-    // Store token in MongoDB via tokenService
-    await tokenService.storeToken(token, {
-      documentId: document._id,
-      email: signer.email,
+  res.status(201).json(
+    formatSuccess({ document }, 'Document uploaded successfully')
+  );
+});
+
+// Upload an envelope — several PDFs signed by one set of signers in a single
+// transaction. The first file doubles as the document's originalFile.
+exports.createEnvelope = catchAsync(async (req, res, next) => {
+  const { title, description, signers, declinePolicy, allowDelegation } = req.body;
+
+  // Nothing keeps the upload if the request is refused
+  let document;
+  try {
+    let signersArray = [];
+    if (signers) {
+      try {
+        signersArray = typeof signers === 'string' ? JSON.parse(signers) : signers;
+      } catch (error) {
+        throw new AppError('Invalid signers format.', 400);
+      }
+    }
+
+    const schedulingOptions = parseSchedulingOptions(req.body);
+    const stampOptions = parseStampOptions(req.body);
+    // Created in a workspace when the user may send there
+    const organization = await organizationService.resolveWorkspace(req.user, req.body.organization);
+
+    // Metadata and integrity hash for every file in the envelope
+    const files = [];
+    for (const file of req.files) {
+      const pdfMetadata = await pdfService.getPDFMetadata(file.path);
+      files.push({
+        name: file.originalname,
+        filename: file.filename,
+        path: file.path,
+        size: file.size,
+        mimetype: file.mimetype,
+        pageCount: pdfMetadata.pageCount,
+        fileHash: crypto
+          .createHash('sha256')
+          .update(fs.readFileSync(file.path))
+          .digest('hex'),
+      });
+    }
+
+    const [firstFile] = files;
+    document = await Document.create({
+      title: title || firstFile.name,
+      description,
+      owner: req.user.id,
+      organization,
+      originalFile: {
+        filename: firstFile.filename,
+        path: firstFile.path,
+        size: firstFile.size,
+        mimetype: firstFile.mimetype,
+      },
+      files,
+      signers: signersArray,
+      declinePolicy,
+      allowDelegation,
+      ...schedulingOptions,
+      ...stampOptions,
+      metadata: {
+        pageCount: firstFile.pageCount,
+        fileHash: firstFile.fileHash,
+        lastModified: new Date(),
+      },
+      status: 'draft',
     });
+  } catch (error) {
+    removeUploads(req);
+    throw error;
   }
-  await document.save();
 
-  // Log document creation
   await AuditLog.log({
     userId: req.user.id,
     documentId: document._id,
     action: 'document_created',
     metadata: {
       title: document.title,
-      fileSize: req.file.size,
+      fileCount: files.length,
+      fileSize: files.reduce((total, f) => total + f.size, 0),
     },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
 
   res.status(201).json(
-    formatSuccess({ document }, 'Document uploaded successfully')
+    formatSuccess({ document }, 'Envelope uploaded successfully')
   );
 });
 
-// Get all documents for current user
+// Get all documents for current user, or with ?organization= every
+// document of that workspace
 exports.getMyDocuments = catchAsync(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -94,7 +253,11 @@ exports.getMyDocuments = catchAsync(async (req, res, next) => {
   const status = req.query.status;
 
   // Build query
-  const query = { owner: req.user.id };
+  let query = { owner: req.user.id };
+  if (req.query.organization) {
+    const { organization } = await organizationService.requireMembership(req.query.organization, req.user, 'view');
+    query = { organization: organization._id };
+  }
   if (status) {
     query.status = status;
   }
@@ -121,18 +284,8 @@ exports.getMyDocuments = catchAsync(async (req, res, next) => {
 
 // Get single document
 exports.getDocument = catchAsync(async (req, res, next) => {
-  const document = await Document.findById(req.params.id)
-    .populate('signatures')
-    .populate('owner', 'name email');
-
-  if (!document) {
-    return next(new AppError('Document not found.', 404));
-  }
-
-  // Check ownership
-  if (document.owner._id.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to view this document.', 403));
-  }
+  const document = req.document; // From checkDocumentAccess middleware
+  await document.populate('signatures');
 
   // Log document view
   await AuditLog.log({
@@ -150,8 +303,8 @@ exports.getDocument = catchAsync(async (req, res, next) => {
 
 // Update document
 exports.updateDocument = catchAsync(async (req, res, next) => {
-  const { title, description, signers } = req.body;
-  const document = req.document; // From checkDocumentOwnership middleware
+  const { title, description, signers, declinePolicy, allowDelegation } = req.body;
+  const document = req.document; // From checkDocumentAccess middleware
 
   // Only allow updates if document is in draft status
   if (document.status !== 'draft') {
@@ -161,6 +314,10 @@ exports.updateDocument = catchAsync(async (req, res, next) => {
   // Update fields
   if (title) document.title = title;
   if (description) document.description = description;
+  if (declinePolicy) document.declinePolicy = declinePolicy;
+  if (allowDelegation !== undefined) document.allowDelegation = allowDelegation;
+  document.set(parseSchedulingOptions(req.body));
+  document.set(parseStampOptions(req.body));
   if (signers) {
     try {
       document.signers = typeof signers === 'string' ? JSON.parse(signers) : signers;
@@ -189,32 +346,29 @@ exports.updateDocument = catchAsync(async (req, res, next) => {
 // Save signature field positions set in the document viewer UI
 exports.saveSignatureFields = catchAsync(async (req, res, next) => {
   const { fields } = req.body;
-  const document = await Document.findOne({ _id: req.params.id, owner: req.user.id });
-
-  if (!document) {
-    return next(new AppError('Document not found.', 404));
-  }
+  const document = req.document; // From checkDocumentAccess middleware
 
   if (document.status !== 'draft') {
     return next(new AppError('Cannot update signature fields after document has been sent.', 400));
   }
 
-  // Persist the field data (positions + signature image data + dates)
-  document.signatureFields = Array.isArray(fields) ? fields : [];
+  // Persist the field data (positions + signature image data + dates).
+  // Fields assigned to a signer are stored empty — only that signer fills them.
+  document.signatureFields = fieldService.prepareOwnerFields(
+    document,
+    Array.isArray(fields) ? fields : []
+  );
 
   // ── Burn fields into a copy of the PDF ──────────────────────────────────
-  // Regenerate the signed PDF whenever ANY field (signature or date) is present
-  const hasAnyField = document.signatureFields.some(
-    (f) =>
-      (f.type === 'signature' && f.signatureDataUrl) ||
-      (f.type === 'date' && f.dateValue)
-  );
+  // Regenerate the signed PDF whenever ANY field holds a value
+  const hasAnyField = document.signatureFields.some((f) => fieldService.isFilled(f));
 
   if (hasAnyField && document.originalFile?.path) {
     try {
+      // The preview covers the first file; envelopes are burned per file on completion
       const signed = await pdfService.generateSignedPDFFromFields(
         document.originalFile.path,
-        document.signatureFields
+        document.getFieldsForFile(document.getFile())
       );
 
       // Remove the previous signed file if it exists
@@ -243,129 +397,222 @@ exports.saveSignatureFields = catchAsync(async (req, res, next) => {
 
 // Send document for signing
 exports.sendDocument = catchAsync(async (req, res, next) => {
-  const document = req.document; // From checkDocumentOwnership middleware
+  const document = req.document; // From checkDocumentAccess middleware
 
   if (document.status !== 'draft') {
     return next(new AppError('Document has already been sent or signed.', 400));
   }
 
-  if (!document.signers || document.signers.length === 0) {
-    return next(new AppError('Please add at least one signer before sending.', 400));
-  }
+  // Reminder interval and deadline may also be set at send time
+  document.set(parseSchedulingOptions(req.body));
 
-  // Update status
-  document.status = 'sent';
-  await document.save();
+  await routingService.sendDocument(document, {
+    userId: req.user.id,
+    senderName: req.user.name,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
 
-  // ── Send signing emails ──────────────────────────────────────────────────
-  // Always generate a fresh token for each signer so that signers added
-  // after the initial upload (via updateDocument) also get an email.
-  for (const signer of document.signers) {
-    try {
-      // Generate a new token and persist it (overwrites any existing one)
-      const rawToken = tokenService.generateToken();
-      await tokenService.storeToken(rawToken, {
-        documentId: document._id,
-        email: signer.email,
-      });
+  res.status(200).json(
+    formatSuccess({ document }, 'Document sent for signing successfully')
+  );
+});
 
-      const signingUrl = `${process.env.BASE_URL}/sign/${rawToken}`;
+// Update reminder interval / signing deadline (draft or sent documents)
+exports.updateReminders = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
 
-      await emailService.sendSigningRequest({
-        to: signer.email,
-        signerName: signer.name || signer.email,
-        documentName: document.title,
-        signingUrl,
-        senderName: req.user.name,
-      });
+  if (!['draft', 'sent'].includes(document.status)) {
+    return next(new AppError('Reminders can only be changed before the document is completed.', 400));
+  }
 
-      console.log(`✅ Signing email sent to ${signer.email}`);
-    } catch (emailError) {
-      // Log but don't fail the whole request — other signers can still be emailed
-      console.error(`❌ Failed to send signing email to ${signer.email}:`, emailError.message);
-    }
+  document.set(parseSchedulingOptions(req.body));
+
+  // Restart the reminder clock with the new interval
+  if (document.status === 'sent') {
+    document.scheduleNextReminder();
   }
 
+  await document.save();
 
-  // Log document sent
   await AuditLog.log({
     userId: req.user.id,
     documentId: document._id,
-    action: 'document_sent',
+    action: 'document_updated',
     metadata: {
-      signersCount: document.signers.length,
-      signers: document.signers.map(s => s.email),
+      reminderSettings: document.reminderSettings,
+      expiresAt: document.expiresAt,
     },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
 
   res.status(200).json(
-    formatSuccess({ document }, 'Document sent for signing successfully')
+    formatSuccess({ document }, 'Reminder settings updated successfully')
   );
 });
 
-// Reject document (by owner)
-exports.rejectDocument = catchAsync(async (req, res, next) => {
-  const { reason } = req.body;
-  const document = req.document; // From checkDocumentOwnership middleware
+// ---------------------------------------------------------------------------
+// Recipient corrections after sending (pending recipients only)
+// ---------------------------------------------------------------------------
+const correctionContext = (req) => ({
+  userId: req.user.id,
+  senderName: req.user.name,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+// Add a recipient to a sent document
+exports.addRecipient = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+  const result = await recipientService.addRecipient(document, req.body, correctionContext(req));
+
+  res.status(201).json(
+    formatSuccess({ document, ...result }, 'Recipient added successfully')
+  );
+});
+
+// Correct a pending recipient's name, email, company or phone
+exports.updateRecipient = catchAsync(async (req, res, next) => {
+  const { name, email, company, phone } = req.body;
+  const document = req.document; // From checkDocumentAccess middleware
+  const result = await recipientService.updateRecipient(
+    document,
+    req.params.signerId,
+    { name, email, company, phone },
+    correctionContext(req)
+  );
+
+  res.status(200).json(
+    formatSuccess({ document, ...result }, 'Recipient updated successfully')
+  );
+});
+
+// Remove a pending recipient
+exports.removeRecipient = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+  const result = await recipientService.removeRecipient(
+    document,
+    req.params.signerId,
+    correctionContext(req)
+  );
+
+  res.status(200).json(
+    formatSuccess({ document, ...result }, 'Recipient removed successfully')
+  );
+});
+
+// Resend a recipient's invitation with a fresh link
+exports.resendInvite = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+  const result = await recipientService.resendInvite(
+    document,
+    req.params.signerId,
+    correctionContext(req)
+  );
+
+  res.status(200).json(
+    formatSuccess({ signer: result.signer }, 'Invitation resent successfully')
+  );
+});
+
+// Void (cancel) a sent document — deactivates every outstanding signing link
+exports.voidDocument = catchAsync(async (req, res, next) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  const document = req.document; // From checkDocumentAccess middleware
 
   if (document.status !== 'sent') {
-    return next(new AppError('Document must be in sent status to reject.', 400));
+    return next(new AppError('Only documents that are out for signing can be voided.', 400));
+  }
+
+  if (!reason) {
+    return next(new AppError('Please provide a reason for voiding this document.', 400));
   }
 
-  document.status = 'rejected';
-  document.rejectionReason = reason;
+  // Taken back if the void can't be recorded
+  const rollback = await routingService.checkpoint(document);
+
+  document.status = 'voided';
+  document.voidReason = reason;
+  document.voidedBy = req.user.id;
+  document.nextReminderAt = undefined;
   await document.save();
 
-  // Notify signers (best effort)
-  for (const signer of document.signers) {
+  const revokedTokens = await tokenService.invalidateDocumentTokens(document._id);
+
+  // Everyone who was invited and still had something to do
+  const pendingSigners = document.signers.filter(
+    s => s.invitedAt && routingService.isPending(s)
+  );
+
+  await AuditLog.logOrUndo(
+    {
+      userId: req.user.id,
+      documentId: document._id,
+      action: 'document_voided',
+      metadata: {
+        reason,
+        revokedTokens,
+        notifiedSigners: pendingSigners.map(s => s.email),
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    rollback
+  );
+
+  // Notify them only once the void is recorded (best effort)
+  for (const signer of pendingSigners) {
     try {
-      await emailService.sendRejectionNotification({
+      await emailService.sendDocumentVoidedNotification({
         to: signer.email,
+        recipientName: signer.name || signer.email,
         documentName: document.title,
         reason,
-        rejectedBy: document.owner.email || req.user.email,
+        voidedBy: req.user.name || req.user.email,
       });
     } catch (err) {
-      console.error('Failed to send rejection email:', err.message);
+      console.error('Failed to send void email:', err.message);
     }
   }
 
-  // Log rejection
-  await AuditLog.log({
-    userId: req.user.id,
-    documentId: document._id,
-    action: 'document_rejected',
-    metadata: { reason },
-    ipAddress: req.ip,
-    userAgent: req.get('user-agent'),
-  });
-
   res.status(200).json(
-    formatSuccess({ document }, 'Document rejected successfully')
+    formatSuccess({ document }, 'Document voided successfully')
   );
 });
 
+// Older clients cancel through /reject without giving a reason
+exports.rejectDocument = (req, res, next) => {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  req.body = { ...req.body, reason: reason || 'Rejected by owner' };
+  return exports.voidDocument(req, res, next);
+};
+
 // Delete document
 exports.deleteDocument = catchAsync(async (req, res, next) => {
-  const document = req.document; // From checkDocumentOwnership middleware
+  const document = req.document; // From checkDocumentAccess middleware
 
   // Only allow deletion of draft documents
   if (document.status !== 'draft') {
     return next(new AppError('Cannot delete document after it has been sent.', 400));
   }
 
-  // Delete physical files
+  if (document.legalHold?.active) {
+    return next(new AppError('This document is under legal hold and cannot be deleted.', 400));
+  }
+
+  // Delete physical files (every file of an envelope)
   try {
-    if (document.originalFile && document.originalFile.path) {
-      if (fs.existsSync(document.originalFile.path)) {
-        fs.unlinkSync(document.originalFile.path);
-      }
-    }
-    if (document.signedFile && document.signedFile.path) {
-      if (fs.existsSync(document.signedFile.path)) {
-        fs.unlinkSync(document.signedFile.path);
+    const paths = [
+      document.originalFile?.path,
+      document.signedFile?.path,
+      document.certificateFile?.path,
+      document.certifiedFile?.path,
+      ...document.files.flatMap((f) => [f.path, f.signedFile?.path, f.certifiedFile?.path]),
+    ];
+    for (const filePath of new Set(paths.filter(Boolean))) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
       }
     }
   } catch (error) {
@@ -381,7 +628,8 @@ exports.deleteDocument = catchAsync(async (req, res, next) => {
     userId: req.user.id,
     documentId: document._id,
     action: 'document_deleted',
-    metadata: { title: document.title },
+    // The status decides how long the trail is kept after deletion
+    metadata: { title: document.title, status: document.status },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
@@ -391,16 +639,80 @@ exports.deleteDocument = catchAsync(async (req, res, next) => {
   );
 });
 
-// Stream / download document PDF (authenticated) — serves signed PDF if available, else original
+// Place a legal hold — the document can't be deleted and its audit trail is
+// kept regardless of retention policies until the hold is released
+exports.placeLegalHold = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    return next(new AppError('Please provide a reason for the legal hold.', 400));
+  }
+
+  if (document.legalHold?.active) {
+    return next(new AppError('This document is already under legal hold.', 400));
+  }
+
+  document.legalHold = {
+    active: true,
+    reason,
+    placedAt: new Date(),
+    placedBy: req.user.id,
+  };
+  await document.save();
+
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId: document._id,
+    action: 'legal_hold_placed',
+    metadata: { reason },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ legalHold: document.legalHold }, 'Legal hold placed successfully')
+  );
+});
+
+// Release a legal hold — normal retention applies again
+exports.releaseLegalHold = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+
+  if (!document.legalHold?.active) {
+    return next(new AppError('This document is not under legal hold.', 400));
+  }
+
+  const { reason, placedAt, placedBy } = document.legalHold;
+  document.legalHold = { active: false };
+  await document.save();
+
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId: document._id,
+    action: 'legal_hold_released',
+    metadata: { reason, placedAt, placedBy },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ legalHold: document.legalHold }, 'Legal hold released successfully')
+  );
+});
+
+// Stream / download document PDF (authenticated) — serves signed PDF if available, else original.
+// Envelopes pick a file with ?fileId= (defaults to the first file).
 exports.downloadDocument = catchAsync(async (req, res, next) => {
-  const document = await Document.findOne({ _id: req.params.id, owner: req.user.id });
+  const document = req.document; // From checkDocumentAccess middleware
 
-  if (!document) {
-    return next(new AppError('Document not found.', 404));
+  const file = document.getFile(req.query.fileId);
+  if (!file) {
+    return next(new AppError('File not found in this document.', 404));
   }
 
   // Serve signed file if available, otherwise original
-  const filePath = document.signedFile?.path || document.originalFile?.path;
+  const filePath = file.signedFile?.path || file.path;
   if (!filePath || !fs.existsSync(filePath)) {
     return next(new AppError('File not found on server.', 404));
   }
@@ -409,27 +721,69 @@ exports.downloadDocument = catchAsync(async (req, res, next) => {
     userId: req.user.id,
     documentId: document._id,
     action: 'document_downloaded',
-    metadata: { fileType: document.signedFile?.path ? 'signed' : 'original' },
+    metadata: {
+      fileType: file.signedFile?.path ? 'signed' : 'original',
+      ...(file._id && { fileId: file._id, fileName: file.name }),
+    },
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
 
+  const filename = document.isEnvelope ? file.name.replace(/\.pdf$/i, '') : document.title;
   res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `inline; filename="${document.title}.pdf"`);
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
   fs.createReadStream(filePath).pipe(res);
 });
 
-// Get audit logs for a specific document
-exports.getAuditLogs = catchAsync(async (req, res, next) => {
-  // Verify requester owns the document
-  const document = await Document.findOne({ _id: req.params.id, owner: req.user.id });
+// Download the certificate of completion of a signed document — on its own,
+// or with ?appended=true appended to the signed PDF (pick an envelope file
+// with ?fileId=)
+exports.downloadCertificate = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+
+  if (document.status !== 'signed') {
+    return next(new AppError('No certificate is available for this document yet.', 404));
+  }
+
+  const appended = req.query.appended === 'true';
+  const file = document.getFile(req.query.fileId);
+  if (!file) {
+    return next(new AppError('File not found in this document.', 404));
+  }
 
-  if (!document) {
-    return next(new AppError('Document not found.', 404));
+  const certificate = await completionService.ensureCertificate(document);
+  const certifiedCopy = appended ? await completionService.certifiedCopy(document, file) : null;
+  if (!certificate || (appended && !certifiedCopy)) {
+    return next(new AppError('File not found on server.', 404));
   }
 
-  const AuditLog = require('../models/AuditLog');
-  const logs = await AuditLog.find({ documentId: req.params.id })
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId: document._id,
+    action: 'document_downloaded',
+    metadata: {
+      fileType: appended ? 'signed_with_certificate' : 'certificate',
+      ...(appended && file._id && { fileId: file._id, fileName: file.name }),
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  if (!appended) {
+    res.setHeader('Content-Disposition', `inline; filename="${document.title} - certificate.pdf"`);
+    return fs.createReadStream(certificate.path).pipe(res);
+  }
+
+  const filename = document.isEnvelope ? file.name.replace(/\.pdf$/i, '') : document.title;
+  res.setHeader('Content-Disposition', `inline; filename="${filename} - with certificate.pdf"`);
+  fs.createReadStream(certifiedCopy.path).pipe(res);
+});
+
+// Get audit logs for a specific document
+exports.getAuditLogs = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+  const logs = await AuditLog.find({ documentId: document._id })
     .populate('userId', 'name email')
     .sort('-timestamp');
 
@@ -437,3 +791,17 @@ exports.getAuditLogs = catchAsync(async (req, res, next) => {
     formatSuccess({ logs }, 'Audit logs retrieved successfully')
   );
 });
+
+// Check the document's audit trail for edited, reordered or deleted entries
+exports.verifyAuditTrail = catchAsync(async (req, res, next) => {
+  const document = req.document; // From checkDocumentAccess middleware
+
+  const verification = await AuditLog.verifyChain(document._id);
+
+  res.status(200).json(
+    formatSuccess(
+      { verification },
+      verification.intact ? 'Audit trail is intact' : 'Audit trail has been tampered with'
+    )
+  );
+});
@@ -0,0 +1,142 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { formatSuccess } = require('../utils/responseFormatter');
+const organizationService = require('../services/organizationService');
+
+const context = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+// Create an organization — the creator becomes its first owner
+exports.createOrganization = catchAsync(async (req, res, next) => {
+  const { name } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return next(new AppError('Please provide the organization name.', 400));
+  }
+
+  const organization = await organizationService.create(req.user, { name: String(name) }, context(req));
+
+  res.status(201).json(
+    formatSuccess({ organization }, 'Organization created successfully')
+  );
+});
+
+// Organizations the current user belongs to, with their role in each
+exports.getMyOrganizations = catchAsync(async (req, res, next) => {
+  const organizations = await organizationService.listForUser(req.user._id);
+
+  res.status(200).json(
+    formatSuccess({ organizations }, 'Organizations retrieved successfully')
+  );
+});
+
+// Members (and, for those who manage members, pending invitations)
+exports.getOrganization = catchAsync(async (req, res, next) => {
+  const organization = req.organization; // From checkOrganizationAccess middleware
+  await organization.populate('members.user', 'name email');
+
+  const data = organization.toJSON();
+  if (!organizationService.can(req.organizationRole, 'manage_members')) {
+    delete data.invitations;
+  }
+
+  res.status(200).json(
+    formatSuccess({ organization: data, role: req.organizationRole }, 'Organization retrieved successfully')
+  );
+});
+
+// Rename — owners and admins
+exports.updateOrganization = catchAsync(async (req, res, next) => {
+  const organization = req.organization; // From checkOrganizationAccess middleware
+  const { name } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return next(new AppError('Please provide the organization name.', 400));
+  }
+
+  const previousName = organization.name;
+  organization.name = String(name);
+  await organization.save();
+
+  await AuditLog.log({
+    userId: req.user._id,
+    action: 'organization_updated',
+    metadata: { organizationId: organization._id, before: { name: previousName }, after: { name: organization.name } },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ organization }, 'Organization updated successfully')
+  );
+});
+
+// Invite someone by email with a role (default 'sender')
+exports.inviteMember = catchAsync(async (req, res, next) => {
+  const { email, role } = req.body;
+
+  const { invitation, emailed } = await organizationService.invite(
+    req.organization,
+    req.user,
+    req.organizationRole,
+    { email, role },
+    context(req)
+  );
+
+  res.status(201).json(
+    formatSuccess(
+      { invitation: { ...invitation.toObject(), tokenHash: undefined }, emailed },
+      emailed ? `Invitation sent to ${invitation.email}` : 'Invitation created, but the email could not be sent. Please try again.'
+    )
+  );
+});
+
+exports.revokeInvitation = catchAsync(async (req, res, next) => {
+  await organizationService.revokeInvitation(req.organization, req.user, req.params.invitationId, context(req));
+
+  res.status(200).json(
+    formatSuccess(null, 'Invitation revoked')
+  );
+});
+
+// Accept an invitation from its emailed link (signed in as the invited
+// address)
+exports.acceptInvitation = catchAsync(async (req, res, next) => {
+  const organization = await organizationService.acceptInvitation(req.params.token, req.user, context(req));
+
+  res.status(200).json(
+    formatSuccess(
+      { organization: { _id: organization._id, name: organization.name }, role: organization.getMember(req.user._id).role },
+      `You have joined ${organization.name}`
+    )
+  );
+});
+
+exports.updateMemberRole = catchAsync(async (req, res, next) => {
+  const member = await organizationService.changeRole(
+    req.organization,
+    req.user,
+    req.organizationRole,
+    req.params.userId,
+    req.body.role,
+    context(req)
+  );
+
+  res.status(200).json(
+    formatSuccess({ member }, 'Member role updated')
+  );
+});
+
+// Remove a member — or leave, with your own user id or "me"
+exports.removeMember = catchAsync(async (req, res, next) => {
+  const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+
+  await organizationService.removeMember(req.organization, req.user, req.organizationRole, userId, context(req));
+
+  res.status(200).json(
+    formatSuccess(null, userId === req.user.id ? `You have left ${req.organization.name}` : 'Member removed')
+  );
+});
@@ -1,55 +1,31 @@
 const fs = require('fs');
-const path = require('path');
 const Document = require('../models/Document');
 const Signature = require('../models/Signature');
 const AuditLog = require('../models/AuditLog');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
 const { formatSuccess } = require('../utils/responseFormatter');
-const pdfService = require('../services/pdfService');
+const { hashFile } = require('../utils/fileHash');
 const emailService = require('../services/emailService');
 const tokenService = require('../services/tokenService');
-
-// ---------------------------------------------------------------------------
-// Helper: generate and save signed PDF after all signers have signed
-// ---------------------------------------------------------------------------
-const finalizeSignedPDF = async (document) => {
-  // Populate all signature records (they're stored as ObjectId refs)
-  const signatures = await Signature.find({ documentId: document._id });
-
-  if (!signatures.length) return;
-
-  // Ensure output directory exists
-  const signedDir = path.join(process.cwd(), 'uploads', 'signed');
-  if (!fs.existsSync(signedDir)) {
-    fs.mkdirSync(signedDir, { recursive: true });
-  }
-
-  // Generate signed PDF
-  const signedPdfPath = await pdfService.generateSignedPDF(
-    document.originalFile.path,
-    signatures
-  );
-
-  const signedFilename = `signed-${Date.now()}.pdf`;
-  const signedFilepath = path.join(signedDir, signedFilename);
-
-  // Move temp file to final location
-  fs.copyFileSync(signedPdfPath, signedFilepath);
-  // Clean up temp file if different
-  if (signedPdfPath !== signedFilepath && fs.existsSync(signedPdfPath)) {
-    fs.unlinkSync(signedPdfPath);
-  }
-
-  document.signedFile = {
-    filename: signedFilename,
-    path: signedFilepath,
-    size: fs.statSync(signedFilepath).size,
-    signedAt: new Date(),
-  };
-  document.status = 'signed';
-  await document.save();
-};
+const routingService = require('../services/routingService');
+const fieldService = require('../services/fieldService');
+const completionService = require('../services/completionService');
+const recipientService = require('../services/recipientService');
+const timestampService = require('../services/timestampService');
+const signerAuthService = require('../services/signerAuthService');
+const smsService = require('../services/smsService');
+
+// What a token holder gets back after acting — the same fields they were
+// shown in getSignatureInfo, never the rest of the document
+const signerDocumentView = (document, email) => ({
+  _id: document._id,
+  title: document.title,
+  status: document.status,
+  signatureFields: fieldService.toSignerView(
+    fieldService.getFieldsForRecipient(document, email)
+  ),
+});
 
 // ---------------------------------------------------------------------------
 // POST /api/sign (authenticated — owner adds a signature position)
@@ -71,14 +47,32 @@ exports.addSignature = catchAsync(async (req, res, next) => {
     return next(new AppError('You are not authorized to sign this document.', 403));
   }
 
+  if (routingService.getRole(signer) !== 'signer') {
+    return next(new AppError('Your role on this document does not include signing.', 403));
+  }
+
   if (signer.signed) {
     return next(new AppError('You have already signed this document.', 400));
   }
 
+  if (signer.status === 'declined') {
+    return next(new AppError('You have already declined this document.', 400));
+  }
+
+  if (!routingService.isSignerActive(document, signer)) {
+    return next(new AppError('It is not your turn to sign this document yet.', 403));
+  }
+
   if (!position || !position.pageNumber || position.x === undefined || position.y === undefined) {
     return next(new AppError('Signature position is required.', 400));
   }
 
+  // Taken back if the signature can't be recorded
+  const rollback = await routingService.checkpoint(document);
+
+  // Same rule as the signing link — required fields must be filled first
+  fieldService.completeSignerFields(document, signer);
+
   // Resolve signature data — file upload takes priority, then body base64
   let signatureData;
   if (req.file) {
@@ -91,6 +85,13 @@ exports.addSignature = catchAsync(async (req, res, next) => {
     return next(new AppError('Signature data is required.', 400));
   }
 
+  signer.signed = true;
+  signer.status = 'signed';
+  signer.signedAt = new Date();
+  signer.ipAddress = req.ip;
+  signer.userAgent = req.get('user-agent');
+  signer.authMethod = 'account';
+
   // Create signature record
   const signature = await Signature.create({
     documentId: document._id,
@@ -101,34 +102,30 @@ exports.addSignature = catchAsync(async (req, res, next) => {
     position,
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
+    authMethod: 'account',
   });
 
   document.signatures.push(signature._id);
-  signer.signed = true;
-  signer.signedAt = new Date();
   await document.save();
 
-  const allSigned = document.signers.every(s => s.signed);
-
-  if (allSigned) {
-    try {
-      await finalizeSignedPDF(document);
-      // Notify document owner
-      await emailService.sendDocumentSignedNotification({
-        to: document.owner.email,
-        documentName: document.title,
-        signedBy: document.signers.map(s => s.name || s.email).join(', '),
-      });
-    } catch (err) {
-      console.error('Error finalizing signed PDF:', err.message);
+  // Recorded once the signature is saved, so the trail never shows one that
+  // wasn't accepted — and taken back if it can't be recorded
+  await AuditLog.logOrUndo(
+    {
+      userId: req.user ? req.user.id : null,
+      documentId: document._id,
+      action: 'signature_added',
+      metadata: { signerEmail, signerName, allSigned: routingService.isComplete(document) },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    async () => {
+      await rollback();
+      await Signature.deleteOne({ _id: signature._id });
     }
-  }
+  );
 
-  await AuditLog.log({
-    userId: req.user ? req.user.id : null,
-    documentId: document._id,
-    action: 'signature_added',
-    metadata: { signerEmail, signerName, allSigned },
+  await completionService.completeOrAdvance(document, {
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
@@ -159,6 +156,46 @@ exports.getSignatureInfo = catchAsync(async (req, res, next) => {
 
   const signer = document.signers.find(s => s.email === email);
 
+  // Until the signer passes their identity check, show only enough to ask
+  // for the code
+  if (signer && !signerAuthService.isVerified(req, token, signer)) {
+    return res.status(200).json(
+      formatSuccess({
+        document: {
+          _id: document._id,
+          title: document.title,
+          owner: { name: document.owner.name },
+        },
+        signer: { name: signer.name || '' },
+        authentication: {
+          required: true,
+          method: signerAuthService.getMethod(signer),
+          // Which phone the SMS code goes to, without giving the number away
+          ...(signerAuthService.getMethod(signer) === 'sms_otp' && {
+            sentTo: smsService.maskPhone(signer.phone),
+          }),
+          locked: signerAuthService.isLocked(signer),
+        },
+      }, 'Identity verification required')
+    );
+  }
+
+  // Record the first time the signer opens the document
+  if (signer && signer.status === 'pending') {
+    signer.status = 'viewed';
+    signer.viewedAt = new Date();
+    await document.save();
+
+    await AuditLog.log({
+      userId: null,
+      documentId: document._id,
+      action: 'document_viewed',
+      metadata: { signerEmail: email, viaToken: true },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  }
+
   res.status(200).json(
     formatSuccess({
       document: {
@@ -167,12 +204,32 @@ exports.getSignatureInfo = catchAsync(async (req, res, next) => {
         description: document.description,
         status: document.status,
         owner: document.owner,
-        signatureFields: document.signatureFields,
+        // Every PDF in the envelope (one entry for single-file documents),
+        // served from /api/sign/:token/file/:fileId
+        files: document.getFiles().map(f => ({
+          _id: f._id,
+          name: f.name,
+          pageCount: f.pageCount,
+        })),
+        // Each signer only sees the fields assigned to them
+        signatureFields: fieldService.toSignerView(
+          fieldService.getFieldsForRecipient(document, email)
+        ),
       },
       signer: {
         name: signer?.name || '',
         email: signer?.email || email,
         signed: signer?.signed || false,
+        status: signer?.status || 'pending',
+        role: signer ? routingService.getRole(signer) : null,
+        order: signer ? routingService.getOrder(signer) : null,
+        canSign: !!signer && routingService.getRole(signer) === 'signer' &&
+          routingService.isSignerActive(document, signer),
+        canApprove: !!signer && routingService.getRole(signer) === 'approver' &&
+          routingService.isSignerActive(document, signer),
+        canDelegate: !!signer && document.allowDelegation && document.status === 'sent' &&
+          routingService.mustAct(signer) && routingService.isPending(signer),
+        delegatedFrom: signer?.delegatedFrom || [],
       },
     }, 'Signature information retrieved successfully')
   );
@@ -183,7 +240,7 @@ exports.getSignatureInfo = catchAsync(async (req, res, next) => {
 // ---------------------------------------------------------------------------
 exports.signWithToken = catchAsync(async (req, res, next) => {
   const { token } = req.params;
-  const { signatureData, position, signatureType, name } = req.body;
+  const { signatureData, position, signatureType, name, fields } = req.body;
 
   const tokenData = await tokenService.verifyToken(token);
   if (!tokenData) {
@@ -206,24 +263,72 @@ exports.signWithToken = catchAsync(async (req, res, next) => {
     return next(new AppError('You are not authorized to sign this document.', 403));
   }
 
+  if (!signerAuthService.isVerified(req, token, signer)) {
+    return next(new AppError('Please verify your identity before continuing.', 401));
+  }
+
+  if (routingService.getRole(signer) !== 'signer') {
+    return next(new AppError('Your role on this document does not include signing.', 403));
+  }
+
   if (signer.signed) {
     return next(new AppError('You have already signed this document.', 400));
   }
 
-  // Resolve signature image data
+  if (signer.status === 'declined') {
+    return next(new AppError('You have already declined this document.', 400));
+  }
+
+  if (!routingService.isSignerActive(document, signer)) {
+    return next(new AppError('It is not your turn to sign this document yet.', 403));
+  }
+
+  // Taken back if the signature can't be recorded
+  const rollback = await routingService.checkpoint(document);
+
+  // Fill the signer's own fields — rejects other signers' fields and any
+  // required field left empty
+  let fieldValues = [];
+  if (fields) {
+    try {
+      fieldValues = typeof fields === 'string' ? JSON.parse(fields) : fields;
+    } catch (error) {
+      return next(new AppError('Invalid fields format.', 400));
+    }
+  }
+  const ownFields = fieldService.applySignerValues(document, signer, fieldValues);
+  const ownSignatureField = ownFields.find(f => f.type === 'signature' && f.signatureDataUrl);
+
+  // Resolve signature image data — falls back to the signer's own signature field
   let signatureImageData;
   if (req.file) {
     signatureImageData = fs.readFileSync(req.file.path, { encoding: 'base64' });
     fs.unlinkSync(req.file.path);
-  } else if (signatureData) {
+  } else if (signatureData || ownSignatureField) {
     // Strip data URL prefix if present
-    signatureImageData = signatureData.replace(/^data:image\/\w+;base64,/, '');
+    signatureImageData = (signatureData || ownSignatureField.signatureDataUrl)
+      .replace(/^data:image\/\w+;base64,/, '');
   } else {
     return next(new AppError('Signature data is required.', 400));
   }
 
-  // Default position if not provided (page 1, top-left area)
-  const sigPosition = position || { pageNumber: 1, x: 50, y: 100, width: 150, height: 50 };
+  // Default position if not provided (own signature field, else page 1 top-left)
+  const sigPosition = position || (ownSignatureField
+    ? {
+      pageNumber: ownSignatureField.pageNumber,
+      x: ownSignatureField.position.x,
+      y: ownSignatureField.position.y,
+      width: ownSignatureField.width,
+      height: ownSignatureField.height,
+    }
+    : { pageNumber: 1, x: 50, y: 100, width: 150, height: 50 });
+
+  signer.signed = true;
+  signer.status = 'signed';
+  signer.signedAt = new Date();
+  signer.ipAddress = req.ip;
+  signer.userAgent = req.get('user-agent');
+  signer.authMethod = signerAuthService.getAuthMethod(signer);
 
   // Create signature record
   const signature = await Signature.create({
@@ -235,42 +340,38 @@ exports.signWithToken = catchAsync(async (req, res, next) => {
     position: sigPosition,
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
+    authMethod: signer.authMethod,
   });
 
   document.signatures.push(signature._id);
-  signer.signed = true;
-  signer.signedAt = new Date();
 
   // Invalidate token — one-time use
   await tokenService.invalidateToken(token);
 
   await document.save();
 
-  const allSigned = document.signers.every(s => s.signed);
-
-  if (allSigned) {
-    try {
-      await finalizeSignedPDF(document);
-      await emailService.sendDocumentSignedNotification({
-        to: document.owner.email,
-        documentName: document.title,
-        signedBy: document.signers.map(s => s.name || s.email).join(', '),
-      });
-    } catch (err) {
-      console.error('Error finalizing signed PDF:', err.message);
+  // Recorded once the signature is saved (as in addSignature)
+  await AuditLog.logOrUndo(
+    {
+      userId: null,
+      documentId: document._id,
+      action: 'signature_added',
+      metadata: {
+        signerEmail: email,
+        signerName: name || signer.name,
+        allSigned: routingService.isComplete(document),
+        viaToken: true,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    async () => {
+      await rollback();
+      await Signature.deleteOne({ _id: signature._id });
     }
-  }
+  );
 
-  await AuditLog.log({
-    userId: null,
-    documentId: document._id,
-    action: 'signature_added',
-    metadata: {
-      signerEmail: email,
-      signerName: name || signer.name,
-      allSigned,
-      viaToken: true,
-    },
+  await completionService.completeOrAdvance(document, {
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
   });
@@ -278,12 +379,206 @@ exports.signWithToken = catchAsync(async (req, res, next) => {
   res.status(201).json(
     formatSuccess({
       signature,
-      document,
+      document: signerDocumentView(document, signer.email),
       message: 'Document signed successfully',
     })
   );
 });
 
+// ---------------------------------------------------------------------------
+// POST /api/sign/:token/approve — public route — approver approves via token
+// ---------------------------------------------------------------------------
+exports.approveWithToken = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+  const { comment } = req.body;
+
+  const tokenData = await tokenService.verifyToken(token);
+  if (!tokenData) {
+    return next(new AppError('Invalid or expired token.', 400));
+  }
+
+  const { documentId, email } = tokenData;
+  const document = await Document.findById(documentId).populate('owner', 'name email');
+
+  if (!document) {
+    return next(new AppError('Document not found.', 404));
+  }
+
+  if (document.status !== 'sent') {
+    return next(new AppError('Document is not ready for approval.', 400));
+  }
+
+  const signer = document.signers.find(s => s.email === email);
+  if (!signer || routingService.getRole(signer) !== 'approver') {
+    return next(new AppError('You are not authorized to approve this document.', 403));
+  }
+
+  if (!signerAuthService.isVerified(req, token, signer)) {
+    return next(new AppError('Please verify your identity before continuing.', 401));
+  }
+
+  if (signer.status === 'approved') {
+    return next(new AppError('You have already approved this document.', 400));
+  }
+
+  if (signer.status === 'declined') {
+    return next(new AppError('You have already declined this document.', 400));
+  }
+
+  if (!routingService.isSignerActive(document, signer)) {
+    return next(new AppError('It is not your turn to approve this document yet.', 403));
+  }
+
+  // Taken back if the approval can't be recorded
+  const rollback = await routingService.checkpoint(document);
+
+  signer.status = 'approved';
+  signer.approvedAt = new Date();
+  signer.ipAddress = req.ip;
+  signer.userAgent = req.get('user-agent');
+  signer.authMethod = signerAuthService.getAuthMethod(signer);
+
+  // Invalidate token — one-time use
+  await tokenService.invalidateToken(token);
+
+  await document.save();
+
+  // Recorded once the approval is saved (as for signatures)
+  await AuditLog.logOrUndo(
+    {
+      userId: null,
+      documentId: document._id,
+      action: 'document_approved',
+      metadata: {
+        approverEmail: email,
+        approverName: signer.name,
+        comment,
+        allSigned: routingService.isComplete(document),
+        viaToken: true,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    rollback
+  );
+
+  await completionService.completeOrAdvance(document, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(
+      { document: signerDocumentView(document, signer.email) },
+      'Document approved successfully'
+    )
+  );
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/sign/:token/delegate — public route — hand the signing slot to
+// someone else (only when the owner allowed delegation)
+// ---------------------------------------------------------------------------
+exports.delegateWithToken = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+  const { name, email: delegateEmail, company, phone, note, authentication } = req.body;
+
+  const tokenData = await tokenService.verifyToken(token);
+  if (!tokenData) {
+    return next(new AppError('Invalid or expired token.', 400));
+  }
+
+  const { documentId, email } = tokenData;
+  const document = await Document.findById(documentId).populate('owner', 'name email');
+
+  if (!document) {
+    return next(new AppError('Document not found.', 404));
+  }
+
+  const signer = document.signers.find(s => s.email === email);
+  if (!signer) {
+    return next(new AppError('You are not authorized to delegate this document.', 403));
+  }
+
+  if (!signerAuthService.isVerified(req, token, signer)) {
+    return next(new AppError('Please verify your identity before continuing.', 401));
+  }
+
+  const delegate = await recipientService.delegate(
+    document,
+    signer,
+    { name, email: delegateEmail, company, phone, note, authentication },
+    { ipAddress: req.ip, userAgent: req.get('user-agent') }
+  );
+
+  res.status(200).json(
+    formatSuccess(
+      { delegate: { name: delegate.name, email: delegate.email } },
+      'Document delegated successfully'
+    )
+  );
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/sign/:token/auth/code — public route — send the signer a
+// one-time code by email or SMS (recipients set up with 'email_otp' or
+// 'sms_otp')
+// ---------------------------------------------------------------------------
+exports.requestSignerCode = catchAsync(async (req, res, next) => {
+  const tokenData = await tokenService.verifyToken(req.params.token);
+  if (!tokenData) {
+    return next(new AppError('Invalid or expired token.', 400));
+  }
+
+  const document = await Document.findById(tokenData.documentId);
+  const signer = document?.signers.find(s => s.email === tokenData.email);
+  if (!signer) {
+    return next(new AppError('Document not found.', 404));
+  }
+
+  const { expiresAt, sentTo } = await signerAuthService.sendCode(document, signer, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ expiresAt, sentTo }, `A verification code was sent to ${sentTo}`)
+  );
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/sign/:token/auth/verify — public route — check the one-time
+// code or access code; returns the auth token for the other signing routes
+// ---------------------------------------------------------------------------
+exports.verifySignerCode = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please enter your verification code.', 400));
+  }
+
+  const tokenData = await tokenService.verifyToken(token);
+  if (!tokenData) {
+    return next(new AppError('Invalid or expired token.', 400));
+  }
+
+  const document = await Document.findById(tokenData.documentId);
+  const signer = document?.signers.find(s => s.email === tokenData.email);
+  if (!signer) {
+    return next(new AppError('Document not found.', 404));
+  }
+
+  const { authToken, expiresAt } = await signerAuthService.verify(document, signer, code, token, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ authToken, expiresAt }, 'Identity verified')
+  );
+});
+
 // ---------------------------------------------------------------------------
 // POST /api/sign/:token/reject — public route — external signer rejects
 // ---------------------------------------------------------------------------
@@ -308,44 +603,101 @@ exports.rejectWithToken = catchAsync(async (req, res, next) => {
   }
 
   const signer = document.signers.find(s => s.email === email);
-  if (!signer) {
+  if (!signer || !routingService.mustAct(signer)) {
     return next(new AppError('You are not authorized to reject this document.', 403));
   }
 
+  if (!signerAuthService.isVerified(req, token, signer)) {
+    return next(new AppError('Please verify your identity before continuing.', 401));
+  }
+
+  if (signer.status === 'approved') {
+    return next(new AppError('You have already approved this document.', 400));
+  }
+
   if (signer.signed) {
     return next(new AppError('You have already signed this document.', 400));
   }
 
-  document.status = 'rejected';
-  document.rejectionReason = reason || 'Rejected by signer';
+  if (signer.status === 'declined') {
+    return next(new AppError('You have already declined this document.', 400));
+  }
+
+  if (!routingService.isSignerActive(document, signer)) {
+    return next(new AppError('It is not your turn to act on this document yet.', 403));
+  }
+
+  // Taken back if the decline can't be recorded
+  const rollback = await routingService.checkpoint(document);
+
+  const declineReason = reason || 'No reason provided';
+  signer.status = 'declined';
+  signer.declinedAt = new Date();
+  signer.declineReason = declineReason;
+  signer.ipAddress = req.ip;
+  signer.userAgent = req.get('user-agent');
+  signer.authMethod = signerAuthService.getAuthMethod(signer);
+
+  // Depending on the document's decline policy, either void the whole
+  // document or drop this signer and let the remaining signers continue
+  const voidsDocument =
+    document.declinePolicy !== 'remove_signer' ||
+    !document.signers.some(s => routingService.isPending(s) || routingService.hasCompleted(s));
+
+  if (voidsDocument) {
+    document.status = 'rejected';
+    document.rejectionReason = declineReason;
+  }
+
   await document.save();
 
   // Invalidate token
   await tokenService.invalidateToken(token);
 
+  // Recorded once the decline is saved (as for signatures)
+  await AuditLog.logOrUndo(
+    {
+      userId: null,
+      documentId: document._id,
+      action: voidsDocument ? 'document_rejected' : 'signer_declined',
+      metadata: {
+        reason: declineReason,
+        rejectedBy: email,
+        declinePolicy: document.declinePolicy,
+        viaToken: true,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+    rollback
+  );
+
   // Notify document owner
   try {
     await emailService.sendRejectionNotification({
       to: document.owner.email,
       documentName: document.title,
-      reason: reason || 'No reason provided',
-      rejectedBy: email,
+      reason: declineReason,
+      rejectedBy: signer.name ? `${signer.name} (${email})` : email,
+      documentVoided: voidsDocument,
     });
   } catch (err) {
     console.error('Failed to send rejection email:', err.message);
   }
 
-  await AuditLog.log({
-    userId: null,
-    documentId: document._id,
-    action: 'document_rejected',
-    metadata: { reason, rejectedBy: email, viaToken: true },
-    ipAddress: req.ip,
-    userAgent: req.get('user-agent'),
-  });
+  // Remaining signers may now be complete, or the next group may be due
+  if (!voidsDocument) {
+    await completionService.completeOrAdvance(document, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  }
 
   res.status(200).json(
-    formatSuccess({ document }, 'Document rejected successfully')
+    formatSuccess(
+      { document: signerDocumentView(document, signer.email) },
+      voidsDocument ? 'Document rejected successfully' : 'You have declined to sign this document'
+    )
   );
 });
 
@@ -376,31 +728,34 @@ exports.verifySignature = catchAsync(async (req, res, next) => {
     return next(new AppError('Signature not found.', 404));
   }
 
-  let isDocumentIntact = true;
-  if (signature.documentId.signedFile && signature.documentId.signedFile.path) {
-    const crypto = require('crypto');
-    const filePath = signature.documentId.signedFile.path;
-    if (fs.existsSync(filePath)) {
-      const fileBuffer = fs.readFileSync(filePath);
-      const currentHash = crypto
-        .createHash('sha256')
-        .update(fileBuffer)
-        .digest('hex');
-      isDocumentIntact = currentHash === signature.documentId.metadata?.fileHash;
+  // Compare the signed PDF on disk with the hash recorded when it was
+  // finalized. Documents finalized before signed hashes were stored can't
+  // be checked (null).
+  const { signedFile } = signature.documentId;
+  let isDocumentIntact = null;
+  let timestamp = null;
+  if (signedFile && signedFile.path && fs.existsSync(signedFile.path)) {
+    if (signedFile.fileHash) {
+      isDocumentIntact = hashFile(signedFile.path) === signedFile.fileHash;
     }
+
+    // Trusted time of completion from the TSA token stored with the file
+    timestamp = timestampService.verifyFile(signedFile.timestamp, signedFile.path);
   }
 
   res.status(200).json(
     formatSuccess({
       signature,
       verification: {
-        isValid: signature.isVerified && isDocumentIntact,
+        isValid: signature.isVerified && isDocumentIntact === true,
         signedAt: signature.signedAt,
         signerEmail: signature.signerEmail,
         signerName: signature.signerName,
         ipAddress: signature.ipAddress,
         userAgent: signature.userAgent,
         documentIntact: isDocumentIntact,
+        // { valid, time, issuer, serialNumber, ... } or null when not timestamped
+        timestamp,
       },
     }, 'Signature verified successfully')
   );
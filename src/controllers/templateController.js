@@ -0,0 +1,226 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Template = require('../models/Template');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { formatSuccess, formatPaginated } = require('../utils/responseFormatter');
+const pdfService = require('../services/pdfService');
+const templateService = require('../services/templateService');
+const organizationService = require('../services/organizationService');
+
+// Parse an array/object that may arrive as a JSON string (multipart forms)
+const parseJSONField = (value, label) => {
+  if (value === undefined) return undefined;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new AppError(`Invalid ${label} format.`, 400);
+  }
+};
+
+// Find a template owned by the current user
+const findOwnTemplate = async (req, next) => {
+  const template = await Template.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!template) {
+    next(new AppError('Template not found.', 404));
+    return null;
+  }
+  return template;
+};
+
+// Create template from an uploaded PDF
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const { title, description, declinePolicy, allowDelegation, reminderIntervalDays, maxReminders } = req.body;
+
+  if (!req.file) {
+    return next(new AppError('Please upload a template PDF.', 400));
+  }
+
+  let roles;
+  let fields;
+  try {
+    roles = templateService.prepareRoles(parseJSONField(req.body.roles, 'roles') || []);
+    fields = templateService.prepareFields(roles, parseJSONField(req.body.signatureFields, 'signature fields') || []);
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    throw error;
+  }
+
+  const pdfMetadata = await pdfService.getPDFMetadata(req.file.path);
+  const fileHash = crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(req.file.path))
+    .digest('hex');
+
+  const template = await Template.create({
+    title,
+    description,
+    owner: req.user.id,
+    file: {
+      filename: req.file.filename,
+      path: req.file.path,
+      size: req.file.size,
+      mimetype: req.file.mimetype,
+    },
+    roles,
+    signatureFields: fields,
+    declinePolicy,
+    allowDelegation,
+    reminderSettings: {
+      intervalDays: reminderIntervalDays,
+      maxReminders,
+    },
+    metadata: {
+      pageCount: pdfMetadata.pageCount,
+      fileHash,
+    },
+  });
+
+  await AuditLog.log({
+    userId: req.user.id,
+    action: 'template_created',
+    metadata: { templateId: template._id, title: template.title },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(201).json(
+    formatSuccess({ template }, 'Template created successfully')
+  );
+});
+
+// Get all templates for current user
+exports.getMyTemplates = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const query = { owner: req.user.id };
+
+  const templates = await Template.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Template.countDocuments(query);
+
+  res.status(200).json(
+    formatPaginated(templates, page, limit, total, 'Templates retrieved successfully')
+  );
+});
+
+// Get single template
+exports.getTemplate = catchAsync(async (req, res, next) => {
+  const template = await findOwnTemplate(req, next);
+  if (!template) return;
+
+  res.status(200).json(
+    formatSuccess({ template }, 'Template retrieved successfully')
+  );
+});
+
+// Update template details, roles and field layout
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await findOwnTemplate(req, next);
+  if (!template) return;
+
+  const { title, description, declinePolicy, allowDelegation, reminderIntervalDays, maxReminders } = req.body;
+  const roles = parseJSONField(req.body.roles, 'roles');
+  const fields = parseJSONField(req.body.signatureFields, 'signature fields');
+
+  if (title) template.title = title;
+  if (description) template.description = description;
+  if (declinePolicy) template.declinePolicy = declinePolicy;
+  if (allowDelegation !== undefined) template.allowDelegation = allowDelegation;
+  if (reminderIntervalDays !== undefined) template.reminderSettings.intervalDays = reminderIntervalDays;
+  if (maxReminders !== undefined) template.reminderSettings.maxReminders = maxReminders;
+
+  // Fields are re-validated whenever roles change, since bindings may break
+  if (roles) {
+    template.roles = templateService.prepareRoles(roles);
+  }
+  if (roles || fields) {
+    const currentFields = template.signatureFields.map((f) => f.toObject());
+    template.signatureFields = templateService.prepareFields(
+      template.roles,
+      fields || currentFields
+    );
+  }
+
+  await template.save();
+
+  await AuditLog.log({
+    userId: req.user.id,
+    action: 'template_updated',
+    metadata: { templateId: template._id, updatedFields: Object.keys(req.body) },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess({ template }, 'Template updated successfully')
+  );
+});
+
+// Delete template and its stored PDF (documents created from it keep their copy)
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  const template = await findOwnTemplate(req, next);
+  if (!template) return;
+
+  try {
+    if (template.file?.path && fs.existsSync(template.file.path)) {
+      fs.unlinkSync(template.file.path);
+    }
+  } catch (error) {
+    console.error('Error deleting template file:', error);
+  }
+
+  await Template.findByIdAndDelete(template._id);
+
+  await AuditLog.log({
+    userId: req.user.id,
+    action: 'template_deleted',
+    metadata: { templateId: template._id, title: template.title },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(null, 'Template deleted successfully')
+  );
+});
+
+// Create a draft document from a template, binding roles to recipients
+exports.createDocumentFromTemplate = catchAsync(async (req, res, next) => {
+  const template = await findOwnTemplate(req, next);
+  if (!template) return;
+
+  const { title, description } = req.body;
+  const recipients = parseJSONField(req.body.recipients, 'recipients') || {};
+  const organization = await organizationService.resolveWorkspace(req.user, req.body.organization);
+
+  const document = await templateService.createDocument(template, {
+    owner: req.user.id,
+    organization,
+    title,
+    description,
+    recipients,
+  });
+
+  await AuditLog.log({
+    userId: req.user.id,
+    documentId: document._id,
+    action: 'document_created',
+    metadata: {
+      title: document.title,
+      fileSize: document.originalFile.size,
+      templateId: template._id,
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(201).json(
+    formatSuccess({ document }, 'Document created from template successfully')
+  );
+});
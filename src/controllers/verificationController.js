@@ -0,0 +1,79 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { formatSuccess } = require('../utils/responseFormatter');
+const { sha256 } = require('../utils/fileHash');
+const verificationService = require('../services/verificationService');
+
+// ---------------------------------------------------------------------------
+// POST /api/verify — public — upload a PDF (document field) or send its
+// SHA-256 as `hash`. GET /api/verify/:hash does the same check by hash.
+// ---------------------------------------------------------------------------
+exports.verifyDocument = catchAsync(async (req, res, next) => {
+  const hash = req.file ? sha256(req.file.buffer) : req.params.hash || req.body.hash;
+
+  if (!hash) {
+    return next(new AppError('Please upload a PDF or provide its SHA-256 hash.', 400));
+  }
+
+  if (!verificationService.isValidHash(hash)) {
+    return next(new AppError('Hash must be a SHA-256 digest (64 hex characters).', 400));
+  }
+
+  const result = await verificationService.verify(hash);
+
+  // Anyone can verify, as often as they like — kept on the verification
+  // chain rather than the document's own trail
+  await AuditLog.log({
+    userId: null,
+    action: 'document_verified',
+    metadata: {
+      matchedDocumentId: result.verified ? result.document.id : undefined,
+      hash: result.hash,
+      verified: result.verified,
+      matchedFile: result.matchedFile?.type,
+      method: req.file ? 'upload' : 'hash',
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(
+      result,
+      result.verified
+        ? 'This file matches a completed document'
+        : 'No completed document matches this file'
+    )
+  );
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/verify/document/:verificationId — public — look a completed
+// document up by the ID printed next to the QR code on its pages
+// ---------------------------------------------------------------------------
+exports.verifyById = catchAsync(async (req, res, next) => {
+  const result = await verificationService.verifyById(req.params.verificationId);
+
+  await AuditLog.log({
+    userId: null,
+    action: 'document_verified',
+    metadata: {
+      matchedDocumentId: result.verified ? result.document.id : undefined,
+      verificationId: req.params.verificationId,
+      verified: result.verified,
+      method: 'verification_id',
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json(
+    formatSuccess(
+      result,
+      result.verified
+        ? 'This is a completed document'
+        : 'No completed document has this ID'
+    )
+  );
+});
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { promisify } = require('util');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
+const sessionService = require('../services/sessionService');
 
 exports.protect = catchAsync(async (req, res, next) => {
   // 1) Get token and check if it exists
@@ -26,8 +28,18 @@ exports.protect = catchAsync(async (req, res, next) => {
     // 2) Verify token
     const decoded = await promisify(jwt.verify)(token, process.env.JWT_ACCESS_SECRET);
 
+    // Two-factor challenge tokens only stand in for the password step
+    if (decoded.purpose) {
+      return next(new AppError('Invalid token. Please log in again.', 401));
+    }
+
+    // Tokens of a revoked session stop working straight away
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return next(new AppError('Your session has ended. Please log in again.', 401));
+    }
+
     // 3) Check if user still exists
-    const currentUser = await User.findById(decoded.id).select('+refreshToken');
+    const currentUser = await User.findById(decoded.id);
     if (!currentUser) {
       return next(
         new AppError('The user belonging to this token no longer exists.', 401)
@@ -50,6 +62,7 @@ exports.protect = catchAsync(async (req, res, next) => {
 
     // Grant access
     req.user = currentUser;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -62,6 +75,27 @@ exports.protect = catchAsync(async (req, res, next) => {
   }
 });
 
+// Two-factor enrollment is open to signed-in users, and to users whose
+// account requires 2FA mid-login (a 'two_factor_setup' challenge token in
+// the body instead of an access token)
+exports.protectTwoFactorSetup = catchAsync(async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return exports.protect(req, res, next);
+  }
+
+  const twoFactorService = require('../services/twoFactorService');
+  const decoded = twoFactorService.verifyChallengeToken(req.body.challengeToken, ['two_factor_setup']);
+  const user = decoded && (await User.findById(decoded.id));
+
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return next(new AppError('Your sign-in session has expired. Please log in again.', 401));
+  }
+
+  req.user = user;
+  req.twoFactorChallenge = true;
+  next();
+});
+
 // Restrict to certain roles
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -74,29 +108,52 @@ exports.restrictTo = (...roles) => {
   };
 };
 
-// Check document ownership
-// NOTE: document.owner is populated (an object) when using .populate(), so we compare ._id
-exports.checkDocumentOwnership = catchAsync(async (req, res, next) => {
-  const Document = require('../models/Document');
-  // Populate owner so controllers can access owner.name / owner.email
-  const document = await Document.findById(req.params.id).populate('owner', 'name email');
-
-  if (!document) {
-    return next(new AppError('Document not found.', 404));
-  }
+// Check access to a document — 'view' or 'manage'. Personal documents are
+// owner-only; workspace documents depend on the user's role in the
+// organization (see organizationService).
+exports.checkDocumentAccess = (access = 'manage') =>
+  catchAsync(async (req, res, next) => {
+    const Document = require('../models/Document');
+    const organizationService = require('../services/organizationService');
+    // Populate owner so controllers can access owner.name / owner.email
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findById(req.params.id).populate('owner', 'name email')
+      : null;
+
+    if (!document) {
+      return next(new AppError('Document not found.', 404));
+    }
 
-  // Compare populated owner._id to the logged-in user id
-  if (document.owner._id.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(
-      new AppError('You do not have permission to access this document.', 403)
-    );
-  }
+    if (!(await organizationService.canAccessDocument(req.user, document, access))) {
+      return next(
+        new AppError(
+          access === 'view'
+            ? 'You do not have permission to access this document.'
+            : 'You do not have permission to change this document.',
+          403
+        )
+      );
+    }
 
-  req.document = document;
-  next();
-});
+    req.document = document;
+    next();
+  });
+
+// Check the user's role in the organization of the route (:id) allows a
+// permission (see organizationService). Sets req.organization and
+// req.organizationRole.
+exports.checkOrganizationAccess = (permission = 'view') =>
+  catchAsync(async (req, res, next) => {
+    const organizationService = require('../services/organizationService');
+    const { organization, role } = await organizationService.requireMembership(req.params.id, req.user, permission);
+
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  });
 
-// Refresh token middleware
+// Refresh token middleware — rotates the refresh token like
+// POST /api/auth/refresh-token (see sessionService)
 exports.refreshAccessToken = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
 
@@ -104,37 +161,14 @@ exports.refreshAccessToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Refresh token is required.', 400));
   }
 
-  try {
-    // Verify refresh token
-    const decoded = await promisify(jwt.verify)(
-      refreshToken,
-      process.env.JWT_REFRESH_SECRET
-    );
+  const { user, session, accessToken, refreshToken: newRefreshToken } = await sessionService.rotate(
+    refreshToken,
+    { ipAddress: req.ip, userAgent: req.get('user-agent') }
+  );
 
-    // Find user with this refresh token
-    const user = await User.findOne({
-      _id: decoded.id,
-      refreshToken: refreshToken,
-    });
-
-    if (!user) {
-      return next(new AppError('Invalid refresh token.', 401));
-    }
-
-    // Generate new access token
-    const accessToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRE }
-    );
-
-    req.user = user;
-    req.accessToken = accessToken;
-    next();
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return next(new AppError('Refresh token expired. Please log in again.', 401));
-    }
-    return next(new AppError('Invalid refresh token.', 401));
-  }
+  req.user = user;
+  req.sessionId = session._id.toString();
+  req.accessToken = accessToken;
+  req.refreshToken = newRefreshToken;
+  next();
 });
\ No newline at end of file
@@ -4,7 +4,7 @@ const fs = require('fs');
 const AppError = require('../utils/AppError');
 
 // Ensure upload directories exist
-const uploadDirs = ['uploads/original', 'uploads/signed'];
+const uploadDirs = ['uploads/original', 'uploads/signed', 'uploads/templates', 'uploads/bulk'];
 uploadDirs.forEach((dir) => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -14,8 +14,12 @@ uploadDirs.forEach((dir) => {
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    if (file.fieldname === 'document') {
+    if (file.fieldname === 'document' || file.fieldname === 'documents') {
       cb(null, 'uploads/original/');
+    } else if (file.fieldname === 'template') {
+      cb(null, 'uploads/templates/');
+    } else if (file.fieldname === 'csv') {
+      cb(null, 'uploads/bulk/');
     } else if (file.fieldname === 'signature') {
       cb(null, 'uploads/signed/');
     } else {
@@ -31,14 +35,23 @@ const storage = multer.diskStorage({
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Accept PDFs only for documents
-  if (file.fieldname === 'document') {
+  // Accept PDFs only for documents, envelopes and templates
+  if (['document', 'documents', 'template'].includes(file.fieldname)) {
     if (file.mimetype === 'application/pdf') {
       cb(null, true);
     } else {
       cb(new AppError('Only PDF files are allowed for documents!', 400), false);
     }
   }
+  // Accept CSV recipient lists for bulk send
+  else if (file.fieldname === 'csv') {
+    const allowedMimes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/csv'];
+    if (allowedMimes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new AppError('Only CSV files are allowed for recipient lists!', 400), false);
+    }
+  }
   // Accept images for signatures
   else if (file.fieldname === 'signature') {
     const allowedMimes = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif'];
@@ -61,6 +74,15 @@ const upload = multer({
   },
 });
 
+// Files submitted for verification are only hashed, never stored
+const verificationUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: process.env.MAX_FILE_SIZE || 10 * 1024 * 1024,
+  },
+});
+
 // Custom error handler for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -87,6 +109,48 @@ exports.uploadDocument = (req, res, next) => {
   });
 };
 
+// Middleware for envelope upload — several PDFs in the documents field
+exports.uploadEnvelope = (req, res, next) => {
+  const maxFiles = parseInt(process.env.MAX_ENVELOPE_FILES) || 10;
+  upload.array('documents', maxFiles)(req, res, (err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return next(new AppError('Please upload at least one document.', 400));
+    }
+
+    next();
+  });
+};
+
+// Middleware for single template upload — template field is required
+exports.uploadTemplate = (req, res, next) => {
+  upload.single('template')(req, res, (err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+
+    if (!req.file) {
+      return next(new AppError('Please upload a template PDF.', 400));
+    }
+
+    next();
+  });
+};
+
+// Middleware for optional CSV upload — the list may also be sent as text
+// in the `csv` body field
+exports.uploadCsv = (req, res, next) => {
+  upload.single('csv')(req, res, (err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+    next();
+  });
+};
+
 // Middleware for optional signature image upload
 // Signatures can also be submitted as base64 strings in the request body,
 // so we do NOT require a file — the controller validates presence of either.
@@ -100,6 +164,17 @@ exports.uploadSignature = (req, res, next) => {
   });
 };
 
+// Middleware for optional PDF upload to verify — a hash may be submitted
+// in the body instead, so the controller checks for either
+exports.uploadVerification = (req, res, next) => {
+  verificationUpload.single('document')(req, res, (err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+    next();
+  });
+};
+
 // Middleware for multiple files
 exports.uploadMultiple = (req, res, next) => {
   upload.fields([
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Latest entry of each audit chain (one per document, plus one per category
+// of entries without a document, e.g. 'auth'). The links between entries
+// show edits and gaps, but not entries deleted from the end of a chain —
+// comparing with the head recorded here does.
+const auditChainSchema = new mongoose.Schema(
+  {
+    chain: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    // Last entry removed by the retention purge — verification picks the
+    // chain up from here
+    purgedThrough: {
+      sequence: Number,
+      hash: String,
+      purgedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AuditChain = mongoose.model('AuditChain', auditChainSchema);
+
+module.exports = AuditChain;
@@ -1,4 +1,64 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const AuditChain = require('./AuditChain');
+const AppError = require('../utils/AppError');
+
+// Events that are evidence of what happened to a document. They are written
+// once the change is saved, so the trail never shows something that didn't
+// happen; if one can't be written the change is undone (see logOrUndo) and
+// the request fails rather than reporting success without it.
+const CRITICAL_ACTIONS = new Set([
+  'document_sent',
+  'document_approved',
+  'document_rejected',
+  'document_voided',
+  'signer_declined',
+  'signer_delegated',
+  'signature_added',
+  'recipient_added',
+  'recipient_updated',
+  'recipient_removed',
+]);
+
+// Entries without a document are chained (and kept, see config/retention)
+// per category of action
+const ACTION_CATEGORIES = {
+  user_registered: 'auth',
+  login_success: 'auth',
+  login_failed: 'auth',
+  logout: 'auth',
+  token_refreshed: 'auth',
+  refresh_token_reused: 'auth',
+  session_revoked: 'auth',
+  password_changed: 'auth',
+  password_reset_requested: 'auth',
+  password_reset_completed: 'auth',
+  two_factor_enabled: 'auth',
+  two_factor_disabled: 'auth',
+  two_factor_failed: 'auth',
+  two_factor_recovery_used: 'auth',
+  two_factor_recovery_regenerated: 'auth',
+  two_factor_requirement_changed: 'auth',
+  template_created: 'template',
+  template_updated: 'template',
+  template_deleted: 'template',
+  bulk_send_created: 'bulk_send',
+  bulk_send_completed: 'bulk_send',
+  bulk_send_retried: 'bulk_send',
+  document_verified: 'verification',
+  audit_purged: 'retention',
+  organization_created: 'organization',
+  organization_updated: 'organization',
+  member_invited: 'organization',
+  invitation_revoked: 'organization',
+  member_joined: 'organization',
+  member_role_changed: 'organization',
+  member_removed: 'organization',
+};
+
+// How many times an append is retried when another entry took the same
+// sequence number
+const APPEND_ATTEMPTS = 5;
 
 const auditLogSchema = new mongoose.Schema(
   {
@@ -21,14 +81,40 @@ const auditLogSchema = new mongoose.Schema(
         'document_viewed',
         'document_sent',
         'document_signed',
+        'document_approved',
         'document_rejected',
+        'signer_declined',
+        'signer_delegated',
         'document_deleted',
         'document_downloaded',
+        'document_expired',
+        'document_voided',
+        'document_verified',
+        // Signer identity checks
+        'signer_code_sent',
+        'signer_authenticated',
+        'signer_auth_failed',
+        'legal_hold_placed',
+        'legal_hold_released',
+        // Recipient corrections after sending
+        'recipient_added',
+        'recipient_updated',
+        'recipient_removed',
+        'invite_resent',
+        // Template actions
+        'template_created',
+        'template_updated',
+        'template_deleted',
+        // Bulk send actions
+        'bulk_send_created',
+        'bulk_send_completed',
+        'bulk_send_retried',
         // Signature actions
         'signature_added',
         'signature_removed',
         // Email / token actions
         'email_sent',
+        'reminder_sent',
         'token_generated',
         'token_verified',
         // Auth actions
@@ -37,9 +123,28 @@ const auditLogSchema = new mongoose.Schema(
         'login_failed',
         'logout',
         'token_refreshed',
+        'refresh_token_reused',
+        'session_revoked',
         'password_changed',
         'password_reset_requested',
         'password_reset_completed',
+        'two_factor_enabled',
+        'two_factor_disabled',
+        'two_factor_failed',
+        'two_factor_recovery_used',
+        'two_factor_recovery_regenerated',
+        'two_factor_requirement_changed',
+        // Organizations
+        'organization_created',
+        'organization_updated',
+        'member_invited',
+        'invitation_revoked',
+        'member_joined',
+        'member_role_changed',
+        'member_removed',
+        // Retention and exports
+        'audit_purged',
+        'audit_exported',
       ],
       required: true,
     },
@@ -60,9 +165,19 @@ const auditLogSchema = new mongoose.Schema(
       default: 'success',
     },
     errorMessage: String,
+    // Hash chain — each document's entries (and, per category, the entries
+    // with no document) are numbered 1, 2, 3... and every entry hashes its
+    // own canonical payload together with the previous entry's hash, so an
+    // edited, reordered or deleted entry breaks the chain
+    chain: String, // the document id, or the category
+    sequence: Number,
+    previousHash: String,
+    hash: String,
   },
   {
     timestamps: true,
+    // Keep empty metadata objects so stored entries hash the same as written
+    minimize: false,
   }
 );
 
@@ -70,16 +185,212 @@ const auditLogSchema = new mongoose.Schema(
 auditLogSchema.index({ userId: 1, timestamp: -1 });
 auditLogSchema.index({ documentId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
-auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 }); // Auto-delete after 90 days
+auditLogSchema.index({ chain: 1, timestamp: 1 });
+// Old entries are removed by the retention purge (retentionService), not a
+// TTL index, so that chains are only ever trimmed from the start
+auditLogSchema.index(
+  { chain: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Deterministic JSON — object keys sorted, undefined values left out
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const describeRange = (from, to) => (from === to ? `Entry ${from} is` : `Entries ${from} to ${to} are`);
+
+const chainKey = ({ documentId, action }) =>
+  (documentId ? documentId.toString() : ACTION_CATEGORIES[action] || 'system');
+
+auditLogSchema.statics.chainKey = chainKey;
+auditLogSchema.statics.ACTION_CATEGORIES = ACTION_CATEGORIES;
+
+// SHA-256 over everything the entry records, including its place in the
+// chain
+auditLogSchema.statics.computeHash = function (entry) {
+  const payload = {
+    documentId: entry.documentId || null,
+    sequence: entry.sequence,
+    previousHash: entry.previousHash || null,
+    userId: entry.userId || null,
+    action: entry.action,
+    metadata: entry.metadata || {},
+    ipAddress: entry.ipAddress || null,
+    userAgent: entry.userAgent || null,
+    timestamp: entry.timestamp,
+    status: entry.status || null,
+    errorMessage: entry.errorMessage || null,
+  };
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+};
+
+// Append an entry to its chain. Throws when it can't be written.
+auditLogSchema.statics.append = async function (data) {
+  const documentId = data.documentId || null;
+  const chain = chainKey(data);
+  // Metadata is stored as plain JSON (ObjectIds and dates as strings) so the
+  // entry read back later hashes exactly like the one written
+  const metadata = JSON.parse(JSON.stringify(data.metadata || {}));
+
+  for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt++) {
+    const previous = await this.findOne({ chain, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash');
+
+    const entry = new this({
+      ...data,
+      documentId,
+      chain,
+      metadata,
+      timestamp: data.timestamp || new Date(),
+      sequence: (previous?.sequence || 0) + 1,
+      previousHash: previous?.hash || null,
+    });
+    entry.hash = this.computeHash(entry);
+
+    try {
+      await entry.save();
+    } catch (error) {
+      // Another entry took this sequence number first — chain onto it instead
+      if (error.code === 11000 && attempt < APPEND_ATTEMPTS) continue;
+      throw error;
+    }
+
+    // Move the chain head forward (a later entry may already have)
+    try {
+      await AuditChain.updateOne(
+        { chain, sequence: { $lt: entry.sequence } },
+        { $set: { sequence: entry.sequence, hash: entry.hash } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
 
-// Static method to create audit log entry
+    return entry;
+  }
+};
+
+// Static method to create audit log entry. Routine events are best effort;
+// critical ones (see CRITICAL_ACTIONS) throw so the operation fails.
 auditLogSchema.statics.log = async function (data) {
   try {
-    return await this.create(data);
+    return await this.append(data);
   } catch (error) {
     console.error('Failed to create audit log:', error);
-    // Don't throw - audit logging should not break the main flow
+    if (CRITICAL_ACTIONS.has(data.action)) {
+      throw new AppError('The action could not be recorded in the audit trail. Please try again.', 500);
+    }
+  }
+};
+
+// Record a critical action that was already saved. If the entry can't be
+// written, `undo` takes the change back before the error is thrown, so a
+// request never ends accepted but unrecorded.
+auditLogSchema.statics.logOrUndo = async function (data, undo) {
+  try {
+    return await this.log(data);
+  } catch (error) {
+    try {
+      await undo();
+    } catch (undoError) {
+      console.error(`❌ Could not undo ${data.action} after the audit trail failed:`, undoError);
+    }
+    throw error;
+  }
+};
+
+// Walk a chain (a document id, or a category such as 'auth') and report
+// every entry that was edited, reordered or removed. Entries written before
+// chaining existed are counted but can't be checked. A chain trimmed by the
+// retention purge is checked from the last purged entry onwards.
+auditLogSchema.statics.verifyChain = async function (chainId) {
+  const chain = chainId.toString();
+  const isDocument = mongoose.isObjectIdOrHexString(chainId);
+  const [entries, legacyEntries, head] = await Promise.all([
+    this.find({ chain, sequence: { $exists: true } }).sort({ sequence: 1, _id: 1 }),
+    isDocument ? this.countDocuments({ documentId: chain, sequence: { $exists: false } }) : 0,
+    AuditChain.findOne({ chain }),
+  ]);
+
+  const problems = [];
+  let expected = (head?.purgedThrough?.sequence || 0) + 1;
+  let previousHash = head?.purgedThrough?.hash || null;
+
+  for (const entry of entries) {
+    if (entry.sequence > expected) {
+      problems.push({
+        sequence: expected,
+        issue: 'missing',
+        message: `${describeRange(expected, entry.sequence - 1)} missing`,
+      });
+    } else if (entry.sequence < expected) {
+      problems.push({
+        sequence: entry.sequence,
+        entryId: entry._id,
+        issue: 'out_of_order',
+        message: `Entry ${entry.sequence} appears more than once or out of order`,
+      });
+    } else if ((entry.previousHash || null) !== previousHash) {
+      problems.push({
+        sequence: entry.sequence,
+        entryId: entry._id,
+        issue: 'broken_link',
+        message: `Entry ${entry.sequence} does not link to the entry before it`,
+      });
+    }
+
+    if (this.computeHash(entry) !== entry.hash) {
+      problems.push({
+        sequence: entry.sequence,
+        entryId: entry._id,
+        issue: 'modified',
+        message: `Entry ${entry.sequence} was changed after it was written`,
+      });
+    }
+
+    expected = Math.max(expected, entry.sequence + 1);
+    previousHash = entry.hash;
+  }
+
+  const last = entries[entries.length - 1];
+  if (head) {
+    if (head.sequence >= expected) {
+      problems.push({
+        sequence: expected,
+        issue: 'missing',
+        message: `${describeRange(expected, head.sequence)} missing from the end of the chain`,
+      });
+    } else if (!entries.some((e) => e.sequence === head.sequence && e.hash === head.hash)) {
+      problems.push({
+        sequence: head.sequence,
+        issue: 'modified',
+        message: `Entry ${head.sequence} does not match the recorded chain head`,
+      });
+    }
   }
+
+  return {
+    intact: problems.length === 0,
+    entries: entries.length,
+    legacyEntries,
+    purgedThrough: head?.purgedThrough?.sequence || 0,
+    lastSequence: last?.sequence || 0,
+    lastHash: last?.hash || null,
+    problems,
+  };
 };
 
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One run of the audit retention purge. The slot (run time divided by the
+// purge interval) is unique, so when several server instances are up only
+// one of them purges per interval.
+const auditPurgeSchema = new mongoose.Schema(
+  {
+    slot: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: Date,
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    // What was removed, one entry per trimmed or deleted chain
+    removed: [
+      {
+        _id: false,
+        chain: String,
+        // 'category' — trimmed from the start; 'document' — the whole trail
+        // of a deleted document
+        kind: {
+          type: String,
+          enum: ['category', 'document'],
+        },
+        count: Number,
+        fromSequence: Number,
+        toSequence: Number,
+        olderThan: Date,
+        // Document status at deletion, used to pick its retention period
+        documentStatus: String,
+      },
+    ],
+    totalRemoved: {
+      type: Number,
+      default: 0,
+    },
+    errorMessage: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AuditPurge = mongoose.model('AuditPurge', auditPurgeSchema);
+
+module.exports = AuditPurge;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const bulkSendJobSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Template or draft document every row is created from
+    source: {
+      type: {
+        type: String,
+        enum: ['template', 'document'],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    // Template role (or, for a document source, placeholder signer email)
+    // that each CSV row is bound to
+    roleName: {
+      type: String,
+      required: true,
+    },
+    // Fixed recipients for the remaining template roles, keyed by role name
+    recipients: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    title: String,
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'completed_with_errors'],
+      default: 'queued',
+    },
+    rows: [
+      {
+        rowNumber: Number,
+        name: String,
+        email: String,
+        company: String,
+        // Prefilled values keyed by field id, as given in the CSV
+        fieldValues: {
+          type: mongoose.Schema.Types.Mixed,
+          default: {},
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'sent', 'failed'],
+          default: 'pending',
+        },
+        documentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Document',
+        },
+        error: String,
+        attempts: {
+          type: Number,
+          default: 0,
+        },
+        processedAt: Date,
+      },
+    ],
+    startedAt: Date,
+    completedAt: Date,
+    // Lease held by the instance currently processing the job
+    lockedUntil: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+bulkSendJobSchema.index({ owner: 1, createdAt: -1 });
+bulkSendJobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Virtual progress summary
+bulkSendJobSchema.virtual('progress').get(function () {
+  const rows = this.rows || [];
+  const sent = rows.filter(r => r.status === 'sent').length;
+  const failed = rows.filter(r => r.status === 'failed').length;
+  return {
+    total: rows.length,
+    processed: sent + failed,
+    sent,
+    failed,
+    pending: rows.length - sent - failed,
+    percent: rows.length ? Math.round(((sent + failed) / rows.length) * 100) : 100,
+  };
+});
+
+const BulkSendJob = mongoose.model('BulkSendJob', bulkSendJobSchema);
+
+module.exports = BulkSendJob;
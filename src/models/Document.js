@@ -1,4 +1,54 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const signatureFieldSchema = require('./signatureFieldSchema');
+const smsService = require('../services/smsService');
+
+// Short public ID printed on stamped pages, e.g. "7KQ2M-9XDHT" (Crockford
+// base32 — no I, L, O or U to misread on a printout)
+const VERIFICATION_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const generateVerificationId = () => {
+  const chars = [...crypto.randomBytes(10)].map((b) => VERIFICATION_ALPHABET[b % 32]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Shortest access code an owner may set
+const MIN_ACCESS_CODE_LENGTH = 6;
+
+// Signer access codes and emailed codes are stored as an HMAC keyed with a
+// server secret — a leaked hash of a short code can't be brute-forced
+// without it
+const hashSignerCode = (documentId, code) =>
+  crypto
+    .createHmac('sha256', process.env.SIGNER_AUTH_SECRET || process.env.JWT_ACCESS_SECRET || '')
+    .update(`${documentId}:${String(code).trim()}`)
+    .digest('hex');
+
+// RFC 3161 timestamp token issued by a timestamp authority (TSA)
+const timestampSchema = new mongoose.Schema(
+  {
+    token: String, // base64 DER TimeStampToken
+    time: Date, // genTime asserted by the TSA
+    issuer: String, // TSA certificate subject
+    serialNumber: String,
+    policy: String,
+    hash: String, // hex digest the token covers
+    hashAlgorithm: String,
+    tsa: String, // TSA URL (or 'local')
+  },
+  { _id: false }
+);
+
+// A signed PDF with the certificate of completion appended
+const certifiedFileSchema = new mongoose.Schema(
+  {
+    filename: String,
+    path: String,
+    size: Number,
+    fileHash: String,
+    generatedAt: Date,
+  },
+  { _id: false }
+);
 
 const documentSchema = new mongoose.Schema(
   {
@@ -28,30 +78,276 @@ const documentSchema = new mongoose.Schema(
       path: String,
       size: Number,
       signedAt: Date,
+      fileHash: String, // SHA-256 of the final (sealed) PDF
+      timestamp: timestampSchema,
+    },
+    // The signed PDF with the certificate of completion appended, sealed
+    // as a whole — generated once, so it can be verified by hash too
+    certifiedFile: certifiedFileSchema,
+    // Envelopes group several PDFs under one set of signers. files[0] is the
+    // same PDF as originalFile; single-file documents leave this empty.
+    files: [
+      {
+        name: String, // original upload name, shown to signers
+        filename: String,
+        path: String,
+        size: Number,
+        mimetype: String,
+        pageCount: Number,
+        fileHash: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        signedFile: {
+          filename: String,
+          path: String,
+          size: Number,
+          signedAt: Date,
+          fileHash: String,
+          timestamp: timestampSchema,
+        },
+        certifiedFile: certifiedFileSchema,
+      },
+    ],
+    // Server digital signature (PAdES) applied to the finalized PDFs
+    digitalSignature: {
+      keyId: String,
+      fingerprint: String, // SHA-256 of the signing certificate
+      subject: String,
+      issuer: String,
+      validTo: Date,
+      subFilter: String,
+      signedAt: Date,
+      // Signature timestamp embedded in the PDF signature (PAdES B-T)
+      timestamp: timestampSchema,
+    },
+    // Certificate of completion, generated when the document is finalized
+    certificateFile: {
+      filename: String,
+      path: String,
+      size: Number,
+      fileHash: String,
+      generatedAt: Date,
     },
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Workspace the document was created in — its members can see it (see
+    // organizationService). Not set for personal documents.
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+    },
     status: {
       type: String,
-      enum: ['draft', 'sent', 'signed', 'rejected'],
+      enum: ['draft', 'sent', 'signed', 'rejected', 'expired', 'voided'],
       default: 'draft',
     },
     signers: [
       {
         name: String,
         email: String,
+        // Used to auto-fill 'company' fields
+        company: String,
+        // Mobile number in E.164 format (+447700900123), for SMS codes
+        phone: {
+          type: String,
+          trim: true,
+          match: [/^\+[1-9]\d{7,14}$/, 'Please provide the phone number in international format, e.g. +447700900123'],
+        },
+        // Routing order — lower groups sign first, equal numbers sign in parallel
+        order: {
+          type: Number,
+          default: 1,
+          min: [1, 'Signer order must be at least 1'],
+        },
+        // signer: draws a signature, approver: approves without signing,
+        // cc: receives the final signed PDF, viewer: read-only access
+        role: {
+          type: String,
+          enum: ['signer', 'approver', 'cc', 'viewer'],
+          default: 'signer',
+        },
+        invitedAt: Date,
+        status: {
+          type: String,
+          enum: ['pending', 'viewed', 'signed', 'approved', 'declined'],
+          default: 'pending',
+        },
         signed: {
           type: Boolean,
           default: false,
         },
+        viewedAt: Date,
         signedAt: Date,
+        approvedAt: Date,
+        declinedAt: Date,
+        declineReason: String,
+        // Where the recipient signed or approved from, and how they proved
+        // who they were — shown on the certificate of completion
+        ipAddress: String,
+        userAgent: String,
+        authMethod: {
+          type: String,
+          enum: ['email_link', 'account', 'email_otp', 'sms_otp', 'access_code'],
+        },
+        // Identity check before the recipient can open the document (see
+        // signerAuthService): 'email_otp' / 'sms_otp' — a 6-digit code sent
+        // to their email address or phone; 'access_code' — a code the owner
+        // shares out of band, given as authentication.accessCode and only
+        // kept hashed
+        authentication: {
+          method: {
+            type: String,
+            enum: ['none', 'email_otp', 'sms_otp', 'access_code'],
+            default: 'none',
+          },
+          accessCode: String,
+          accessCodeHash: String,
+          // Current emailed code
+          codeHash: String,
+          codeExpiresAt: Date,
+          codeSentAt: Date,
+          // Codes sent in the current hour, against the per-signer limit
+          codesSent: {
+            type: Number,
+            default: 0,
+          },
+          codesWindowStart: Date,
+          // Codes checked since the last success or lock — each check takes
+          // one before the code is compared, and too many locks the check
+          attempts: {
+            type: Number,
+            default: 0,
+          },
+          lockedUntil: Date,
+          // Locks so far — each lasts twice as long as the one before, and
+          // access codes stop working after too many (see signerAuthService)
+          locks: {
+            type: Number,
+            default: 0,
+          },
+          verifiedAt: Date,
+        },
+        reminderCount: {
+          type: Number,
+          default: 0,
+        },
+        lastRemindedAt: Date,
+        // People who held this signer slot before delegating it, oldest first
+        delegatedFrom: [
+          {
+            _id: false,
+            name: String,
+            email: String,
+            note: String,
+            delegatedAt: Date,
+          },
+        ],
         signatureToken: String,
         tokenExpires: Date,
       },
     ],
+    // What happens when a signer declines: void the whole document, or drop
+    // just that signer and let the remaining signers continue
+    declinePolicy: {
+      type: String,
+      enum: ['void_document', 'remove_signer'],
+      default: 'void_document',
+    },
+    // Text messages sent for this document (signer codes) and what they
+    // cost, as reported by the SMS provider
+    smsUsage: {
+      messages: {
+        type: Number,
+        default: 0,
+      },
+      segments: {
+        type: Number,
+        default: 0,
+      },
+      cost: {
+        type: Number,
+        default: 0,
+      },
+      lastSentAt: Date,
+    },
+    // Whether signers may hand their signing slot to someone else
+    allowDelegation: {
+      type: Boolean,
+      default: false,
+    },
+    // Footer with a QR code linking to the public verification page, stamped
+    // on every page of the finalized PDF. Position and size can be tuned so
+    // it clears the document's own content.
+    verificationStamp: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      position: {
+        type: String,
+        enum: ['bottom-right', 'bottom-left', 'top-right', 'top-left'],
+        default: 'bottom-right',
+      },
+      // Side of the QR code in PDF points
+      size: {
+        type: Number,
+        default: 48,
+        min: [24, 'Stamp size must be at least 24 points'],
+        max: [144, 'Stamp size cannot be more than 144 points'],
+      },
+      // Distance from the page edges in PDF points
+      margin: {
+        type: Number,
+        default: 12,
+        min: [0, 'Stamp margin cannot be negative'],
+        max: [200, 'Stamp margin cannot be more than 200 points'],
+      },
+    },
+    // Legal hold — while active the document can't be deleted and its audit
+    // trail is exempt from the retention purge
+    legalHold: {
+      active: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Legal hold reason cannot be more than 500 characters'],
+      },
+      placedAt: Date,
+      placedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    verificationId: {
+      type: String,
+      unique: true,
+      sparse: true, // older documents get one the next time they are saved
+      default: generateVerificationId,
+    },
+    // Reminder emails to signers who haven't acted (intervalDays 0 = off)
+    reminderSettings: {
+      intervalDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reminder interval cannot be negative'],
+      },
+      maxReminders: {
+        type: Number,
+        default: 3,
+        min: [0, 'Maximum reminders cannot be negative'],
+      },
+    },
+    // Next time the scheduler should look at this document for reminders
+    nextReminderAt: Date,
+    // Signing deadline — the scheduler moves the document to 'expired' after it
+    expiresAt: Date,
     signatures: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -59,45 +355,61 @@ const documentSchema = new mongoose.Schema(
       },
     ],
     // Signature field positions set by the document owner via the viewer UI
-    signatureFields: [
-      {
-        id: String,
-        // 'signature' or 'date'
-        type: { type: String, enum: ['signature', 'date'], default: 'signature' },
-        pageNumber: { type: Number, default: 1 },
-        position: {
-          x: { type: Number, default: 50 },
-          y: { type: Number, default: 50 },
-        },
-        width: { type: Number, default: 150 },
-        height: { type: Number, default: 50 },
-        // Base64 data URL of the drawn/uploaded signature image
-        signatureDataUrl: { type: String, default: null },
-        // Selected date value for date-type fields (YYYY-MM-DD)
-        dateValue: { type: String, default: null },
-      },
-    ],
+    signatureFields: [signatureFieldSchema],
     metadata: {
       pageCount: Number,
-      fileHash: String, // For integrity verification
+      fileHash: String, // SHA-256 of the original upload
       lastModified: Date,
     },
     sentAt: Date,
     signedAt: Date,
     rejectedAt: Date,
     rejectionReason: String,
+    expiredAt: Date,
+    // Owner cancelled the document after sending it
+    voidedAt: Date,
+    voidReason: {
+      type: String,
+      maxlength: [500, 'Void reason cannot be more than 500 characters'],
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Code hashes never leave the server
+      transform: (doc, ret) => {
+        for (const signer of ret.signers || []) {
+          if (signer.authentication) {
+            delete signer.authentication.accessCodeHash;
+            delete signer.authentication.codeHash;
+          }
+        }
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
 
 // Index for better query performance
 documentSchema.index({ owner: 1, status: 1 });
+documentSchema.index({ organization: 1, status: 1 });
 documentSchema.index({ 'signers.email': 1 });
 documentSchema.index({ 'signers.signatureToken': 1 });
+documentSchema.index({ status: 1, nextReminderAt: 1 });
+documentSchema.index({ status: 1, expiresAt: 1 });
+// Public verification looks completed documents up by their final hashes
+documentSchema.index({ 'signedFile.fileHash': 1 });
+documentSchema.index({ 'files.signedFile.fileHash': 1 });
+documentSchema.index({ 'certificateFile.fileHash': 1 });
+documentSchema.index({ 'certifiedFile.fileHash': 1 });
+documentSchema.index({ 'files.certifiedFile.fileHash': 1 });
+documentSchema.index({ 'legalHold.active': 1 });
 
 // Virtual for audit logs
 documentSchema.virtual('auditLogs', {
@@ -106,6 +418,76 @@ documentSchema.virtual('auditLogs', {
   localField: '_id',
 });
 
+// Virtual for signers who declined, with their reasons
+documentSchema.virtual('declinedSigners').get(function () {
+  return (this.signers || [])
+    .filter(s => s.status === 'declined')
+    .map(s => ({
+      name: s.name,
+      email: s.email,
+      declinedAt: s.declinedAt,
+      reason: s.declineReason,
+    }));
+});
+
+// Virtual: whether this document is a multi-file envelope
+documentSchema.virtual('isEnvelope').get(function () {
+  return (this.files || []).length > 1;
+});
+
+// Method to list the document's PDFs — envelopes hold several, single-file
+// documents only their originalFile (with a null _id)
+documentSchema.methods.getFiles = function () {
+  if (this.files && this.files.length) return this.files;
+  return [{
+    _id: null,
+    name: this.title,
+    filename: this.originalFile?.filename,
+    path: this.originalFile?.path,
+    size: this.originalFile?.size,
+    mimetype: this.originalFile?.mimetype,
+    pageCount: this.metadata?.pageCount,
+    fileHash: this.metadata?.fileHash,
+    signedFile: this.signedFile,
+    certifiedFile: this.certifiedFile,
+  }];
+};
+
+// Method to copy the document as it is stored, before a change that may have
+// to be undone (see restore)
+documentSchema.methods.snapshot = function () {
+  return this.toObject({ depopulate: true, virtuals: false });
+};
+
+// Method to put the document back to a snapshot — only while nobody else has
+// saved it since this instance did. Resolves with whether it was put back.
+documentSchema.methods.restore = async function (snapshot) {
+  const { modifiedCount } = await this.collection.replaceOne(
+    { _id: this._id, updatedAt: this.updatedAt },
+    snapshot
+  );
+  return modifiedCount > 0;
+};
+
+// Method to find one of the document's PDFs by id (no id = the first file)
+documentSchema.methods.getFile = function (fileId) {
+  const files = this.getFiles();
+  if (!fileId) return files[0];
+  return files.find(f => f._id && f._id.toString() === fileId.toString()) || null;
+};
+
+// Method to list the signature fields placed on a given file. Fields with
+// no fileId belong to the first file.
+documentSchema.methods.getFieldsForFile = function (file) {
+  const firstFile = this.getFiles()[0];
+  const isFirst = file === firstFile || (file._id && firstFile._id && file._id.equals(firstFile._id));
+  return (this.signatureFields || []).filter(f =>
+    f.fileId
+      ? !!file._id && f.fileId.toString() === file._id.toString()
+      : isFirst
+  );
+};
+
 // Method to generate signing token
 documentSchema.methods.generateSigningToken = function (signerEmail) {
   const crypto = require('crypto');
@@ -125,6 +507,15 @@ documentSchema.methods.generateSigningToken = function (signerEmail) {
   return token;
 };
 
+// Method to schedule the next reminder run from the owner's interval
+documentSchema.methods.scheduleNextReminder = function (from = Date.now()) {
+  const { intervalDays } = this.reminderSettings || {};
+  this.nextReminderAt = intervalDays > 0
+    ? new Date(new Date(from).getTime() + intervalDays * 24 * 60 * 60 * 1000)
+    : undefined;
+  return this.nextReminderAt;
+};
+
 // Method to verify signing token
 documentSchema.methods.verifySigningToken = function (token, email) {
   const crypto = require('crypto');
@@ -142,6 +533,42 @@ documentSchema.methods.verifySigningToken = function (token, email) {
   return !!signer;
 };
 
+documentSchema.statics.hashSignerCode = hashSignerCode;
+
+// Hash access codes set by the owner, and make sure every access code
+// signer has one
+documentSchema.pre('validate', function (next) {
+  for (const signer of this.signers) {
+    const auth = signer.authentication;
+    if (auth?.accessCode) {
+      if (String(auth.accessCode).trim().length < MIN_ACCESS_CODE_LENGTH) {
+        this.invalidate('signers', `Access code for ${signer.email} must be at least ${MIN_ACCESS_CODE_LENGTH} characters`);
+      }
+      auth.accessCodeHash = hashSignerCode(this._id, auth.accessCode);
+      auth.accessCode = undefined;
+      // A new code starts with a clean slate
+      auth.attempts = 0;
+      auth.locks = 0;
+      auth.lockedUntil = undefined;
+    }
+    if (auth?.method === 'access_code' && !auth.accessCodeHash) {
+      this.invalidate('signers', `Please provide an access code for ${signer.email}`);
+    }
+    if (auth?.method === 'sms_otp' && !signer.phone) {
+      this.invalidate('signers', `Please provide a phone number for ${signer.email} to send codes to`);
+    }
+    // Only checked when set, so documents already using it can still be saved
+    if (
+      auth?.method === 'sms_otp' &&
+      (signer.isNew || signer.isModified('authentication.method')) &&
+      !smsService.isConfigured()
+    ) {
+      this.invalidate('signers', 'Verification by text message is not set up on this server');
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to update timestamps based on status
 documentSchema.pre('save', function (next) {
   if (this.isModified('status')) {
@@ -151,6 +578,10 @@ documentSchema.pre('save', function (next) {
       this.signedAt = Date.now();
     } else if (this.status === 'rejected' && !this.rejectedAt) {
       this.rejectedAt = Date.now();
+    } else if (this.status === 'expired' && !this.expiredAt) {
+      this.expiredAt = Date.now();
+    } else if (this.status === 'voided' && !this.voidedAt) {
+      this.voidedAt = Date.now();
     }
   }
   next();
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'admin', 'sender', 'viewer'];
+
+// A workspace shared by a team. Documents created in it belong to it as
+// well as to their owner; what each member may do with them depends on
+// their role (see organizationService).
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide the organization name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ROLES,
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+    // Pending invitations — accepted by the invited email address's account
+    // with the emailed link. Only the SHA-256 of the link token is stored.
+    invitations: [
+      {
+        email: {
+          type: String,
+          required: true,
+          lowercase: true,
+          trim: true,
+        },
+        role: {
+          type: String,
+          enum: ROLES,
+          required: true,
+        },
+        tokenHash: {
+          type: String,
+          required: true,
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        expiresAt: {
+          type: Date,
+          required: true,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+// Never send invitation token hashes to clients
+organizationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    for (const invitation of ret.invitations || []) delete invitation.tokenHash;
+    return ret;
+  },
+});
+
+organizationSchema.methods.getMember = function (userId) {
+  const id = (userId?._id || userId)?.toString();
+  return this.members.find((m) => (m.user?._id || m.user).toString() === id);
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.ROLES = ROLES;
+
+module.exports = Organization;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh-token family: every
+// refresh replaces the token, and only the SHA-256 of the current one is
+// stored. Presenting an older token of the family means it was copied, so
+// the whole session is revoked (see sessionService).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Refreshes so far — 0 until the first rotation
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    // Given by the client at login, or guessed from the user agent
+    deviceName: String,
+    ipAddress: String,
+    userAgent: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the current refresh token expires. Expired sessions are deleted
+    // by MongoDB.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    // 'logout', 'user', 'password_changed', 'token_reuse'...
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
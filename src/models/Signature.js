@@ -44,16 +44,23 @@ const signatureSchema = new mongoose.Schema(
     },
     ipAddress: String,
     userAgent: String,
+    // How the signer was authenticated before signing
+    authMethod: {
+      type: String,
+      enum: ['email_link', 'account', 'email_otp', 'sms_otp', 'access_code'],
+      default: 'email_link',
+    },
     signedAt: {
       type: Date,
       default: Date.now,
     },
+    // Set once the finalized PDF carries the server's digital signature
     isVerified: {
       type: Boolean,
-      default: true,
+      default: false,
     },
     certificateData: {
-      type: mongoose.Schema.Types.Mixed, // Store certificate information
+      type: mongoose.Schema.Types.Mixed, // Sealing key id and certificate details
     },
   },
   {
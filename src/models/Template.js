@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const signatureFieldSchema = require('./signatureFieldSchema');
+
+// Template fields are bound to a role name ("Candidate", "HR") rather than an
+// email; the role is resolved to a real recipient when a document is created
+const templateFieldSchema = signatureFieldSchema.clone();
+templateFieldSchema.add({
+  roleName: { type: String, trim: true, default: null },
+});
+
+const templateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Template title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot be more than 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    file: {
+      filename: String,
+      path: String,
+      size: Number,
+      mimetype: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Named recipient placeholders, bound to real people per document
+    roles: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Role name is required'],
+          trim: true,
+        },
+        role: {
+          type: String,
+          enum: ['signer', 'approver', 'cc', 'viewer'],
+          default: 'signer',
+        },
+        order: {
+          type: Number,
+          default: 1,
+          min: [1, 'Signer order must be at least 1'],
+        },
+      },
+    ],
+    signatureFields: [templateFieldSchema],
+    // Defaults copied onto every document created from this template
+    declinePolicy: {
+      type: String,
+      enum: ['void_document', 'remove_signer'],
+      default: 'void_document',
+    },
+    allowDelegation: {
+      type: Boolean,
+      default: false,
+    },
+    reminderSettings: {
+      intervalDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reminder interval cannot be negative'],
+      },
+      maxReminders: {
+        type: Number,
+        default: 3,
+        min: [0, 'Maximum reminders cannot be negative'],
+      },
+    },
+    metadata: {
+      pageCount: Number,
+      fileHash: String,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+templateSchema.index({ owner: 1, createdAt: -1 });
+
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
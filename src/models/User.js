@@ -32,10 +32,6 @@ const userSchema = new mongoose.Schema(
     },
     passwordResetToken: String,
     passwordResetExpires: Date,
-    refreshToken: {
-      type: String,
-      select: false,
-    },
     isActive: {
       type: Boolean,
       default: true,
@@ -51,6 +47,39 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
     lockUntil: Date,
+    // TOTP two-factor authentication (see twoFactorService)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Set by an admin — the user has to enroll before they can sign in
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted TOTP secret, and the one awaiting a first code to confirm
+      // enrollment
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so it can't be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
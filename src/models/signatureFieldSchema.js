@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// ---------------------------------------------------------------------------
+// Field placed on a PDF page in the viewer UI. Shared by Document and
+// Template (templates bind fields to a role name instead of an email).
+// ---------------------------------------------------------------------------
+const signatureFieldSchema = new mongoose.Schema(
+  {
+    id: String,
+    // signature/initials: drawn image, date: YYYY-MM-DD, text: free text,
+    // checkbox/radio/dropdown: choices, name/email/company: auto-filled
+    // from the signer on submit
+    type: {
+      type: String,
+      enum: [
+        'signature', 'initials', 'date', 'text', 'checkbox',
+        'radio', 'dropdown', 'name', 'email', 'company',
+      ],
+      default: 'signature',
+    },
+    // Caption shown to the signer in the viewer UI
+    label: String,
+    // Envelope file the field is placed on — null means the first file
+    fileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Signer (by email) who fills this field — null for fields the owner fills
+    recipientEmail: { type: String, lowercase: true, trim: true, default: null },
+    // Whether the assigned signer must fill the field before submitting
+    required: { type: Boolean, default: true },
+    pageNumber: { type: Number, default: 1 },
+    position: {
+      x: { type: Number, default: 50 },
+      y: { type: Number, default: 50 },
+    },
+    width: { type: Number, default: 150 },
+    height: { type: Number, default: 50 },
+    // Base64 data URL of the drawn/uploaded signature image
+    signatureDataUrl: { type: String, default: null },
+    // Selected date value for date-type fields (YYYY-MM-DD)
+    dateValue: { type: String, default: null },
+    // Value for text and auto-filled name/email/company fields
+    textValue: { type: String, default: null },
+    // Text fields: optional length limit and validation pattern
+    maxLength: { type: Number, min: 1 },
+    validationPattern: String,
+    validationMessage: String,
+    // Checkbox state
+    checked: { type: Boolean, default: false },
+    // Radio group / dropdown choices. Radio options carry their own
+    // position; width/height then size each radio button.
+    options: [
+      {
+        _id: false,
+        value: String,
+        label: String,
+        position: {
+          x: Number,
+          y: Number,
+        },
+      },
+    ],
+    // Chosen option value for radio groups and dropdowns
+    selectedValue: { type: String, default: null },
+    fontSize: { type: Number, default: 11 },
+    filledAt: Date,
+  }
+);
+
+module.exports = signatureFieldSchema;
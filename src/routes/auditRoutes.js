@@ -0,0 +1,13 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { protect, checkDocumentAccess } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Audit exports — ?format=csv|ndjson|pdf&from=&to=&actions=
+router.get('/documents/:id/export', checkDocumentAccess('view'), auditController.exportDocumentAudit);
+router.get('/users/:userId/export', auditController.exportUserAudit);
+
+module.exports = router;
@@ -1,21 +1,36 @@
 const express = require('express');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, protectTwoFactorSetup, restrictTo } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/2fa/verify', authController.verifyTwoFactorLogin);
 router.post('/logout', authController.logout);
 router.post('/refresh-token', authController.refreshToken);
 router.post('/forgot-password', authController.forgotPassword);
 router.patch('/reset-password/:token', authController.resetPassword);
 
+// Two-factor enrollment — signed in, or mid-login when 2FA is required
+router.post('/2fa/setup', protectTwoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, authController.enableTwoFactor);
+
 // Protected routes
 router.use(protect); // All routes below this line require authentication
 
 router.get('/me', authController.getMe);
 router.patch('/update-password', authController.updatePassword);
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
+
+// Signed-in devices
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeAllSessions);
+router.delete('/sessions/:id', authController.revokeSession);
+
+// Admin
+router.patch('/users/:id/two-factor', restrictTo('admin'), authController.setTwoFactorRequirement);
 
 module.exports = router;
\ No newline at end of file
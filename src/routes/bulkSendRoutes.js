@@ -0,0 +1,21 @@
+const express = require('express');
+const bulkSendController = require('../controllers/bulkSendController');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadCsv } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All bulk send routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(bulkSendController.getMyBulkSends)
+  .post(uploadCsv, bulkSendController.createBulkSend);
+
+// Job status / progress
+router.get('/:id', bulkSendController.getBulkSend);
+
+// Re-queue failed rows
+router.post('/:id/retry', bulkSendController.retryFailedRows);
+
+module.exports = router;
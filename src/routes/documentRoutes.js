@@ -1,7 +1,7 @@
 const express = require('express');
 const documentController = require('../controllers/documentController');
-const { protect, checkDocumentOwnership } = require('../middleware/authMiddleware');
-const { uploadDocument } = require('../middleware/uploadMiddleware');
+const { protect, checkDocumentAccess } = require('../middleware/authMiddleware');
+const { uploadDocument, uploadEnvelope } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
@@ -13,20 +13,38 @@ router.route('/')
   .get(documentController.getMyDocuments)
   .post(uploadDocument, documentController.uploadDocument);
 
+// Envelopes — several PDFs signed together
+router.post('/envelopes', uploadEnvelope, documentController.createEnvelope);
+
 router.route('/:id')
-  .get(documentController.getDocument)
-  .patch(checkDocumentOwnership, documentController.updateDocument)
-  .delete(checkDocumentOwnership, documentController.deleteDocument);
+  .get(checkDocumentAccess('view'), documentController.getDocument)
+  .patch(checkDocumentAccess('manage'), documentController.updateDocument)
+  .delete(checkDocumentAccess('manage'), documentController.deleteDocument);
 
 // Document actions
-router.post('/:id/send', checkDocumentOwnership, documentController.sendDocument);
-router.post('/:id/reject', checkDocumentOwnership, documentController.rejectDocument);
-router.get('/:id/download', documentController.downloadDocument);
+router.post('/:id/send', checkDocumentAccess('manage'), documentController.sendDocument);
+router.post('/:id/void', checkDocumentAccess('manage'), documentController.voidDocument);
+// Older clients cancel through /reject — same void action, reason optional
+router.post('/:id/reject', checkDocumentAccess('manage'), documentController.rejectDocument);
+router.patch('/:id/reminders', checkDocumentAccess('manage'), documentController.updateReminders);
+router.route('/:id/legal-hold')
+  .post(checkDocumentAccess('manage'), documentController.placeLegalHold)
+  .delete(checkDocumentAccess('manage'), documentController.releaseLegalHold);
+router.get('/:id/download', checkDocumentAccess('view'), documentController.downloadDocument);
+router.get('/:id/certificate', checkDocumentAccess('view'), documentController.downloadCertificate);
+
+// Recipient corrections after sending
+router.post('/:id/signers', checkDocumentAccess('manage'), documentController.addRecipient);
+router.route('/:id/signers/:signerId')
+  .patch(checkDocumentAccess('manage'), documentController.updateRecipient)
+  .delete(checkDocumentAccess('manage'), documentController.removeRecipient);
+router.post('/:id/signers/:signerId/resend', checkDocumentAccess('manage'), documentController.resendInvite);
 
 // Signature fields — save drag-and-drop positions from the document viewer UI
-router.post('/:id/signature-fields', documentController.saveSignatureFields);
+router.post('/:id/signature-fields', checkDocumentAccess('manage'), documentController.saveSignatureFields);
 
 // Audit trail for a specific document
-router.get('/:id/audit', documentController.getAuditLogs);
+router.get('/:id/audit', checkDocumentAccess('view'), documentController.getAuditLogs);
+router.get('/:id/audit/verify', checkDocumentAccess('view'), documentController.verifyAuditTrail);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const organizationController = require('../controllers/organizationController');
+const { protect, checkOrganizationAccess } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All organization routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(organizationController.getMyOrganizations)
+  .post(organizationController.createOrganization);
+
+// Accept an emailed invitation (signed in as the invited address)
+router.post('/invitations/:token/accept', organizationController.acceptInvitation);
+
+router.route('/:id')
+  .get(checkOrganizationAccess('view'), organizationController.getOrganization)
+  .patch(checkOrganizationAccess('manage_members'), organizationController.updateOrganization);
+
+// Members and invitations — owners and admins; anyone can leave
+router.post('/:id/invitations', checkOrganizationAccess('manage_members'), organizationController.inviteMember);
+router.delete('/:id/invitations/:invitationId', checkOrganizationAccess('manage_members'), organizationController.revokeInvitation);
+router.route('/:id/members/:userId')
+  .patch(checkOrganizationAccess('manage_members'), organizationController.updateMemberRole)
+  .delete(checkOrganizationAccess('view'), organizationController.removeMember);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { protect } = require('../middleware/authMiddleware');
 const { uploadSignature } = require('../middleware/uploadMiddleware');
 const Document = require('../models/Document');
 const tokenService = require('../services/tokenService');
+const signerAuthService = require('../services/signerAuthService');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -20,11 +21,25 @@ router.get('/:token', signatureController.getSignatureInfo);
 // POST /api/sign/:token — submit signature via token
 router.post('/:token', uploadSignature, signatureController.signWithToken);
 
+// POST /api/sign/:token/approve — approver approves document via token
+router.post('/:token/approve', signatureController.approveWithToken);
+
+// POST /api/sign/:token/delegate — signer hands the document to someone else
+router.post('/:token/delegate', signatureController.delegateWithToken);
+
+// POST /api/sign/:token/auth/code — email the signer a one-time code
+router.post('/:token/auth/code', signatureController.requestSignerCode);
+
+// POST /api/sign/:token/auth/verify — check the code, get an auth token
+router.post('/:token/auth/verify', signatureController.verifySignerCode);
+
 // POST /api/sign/:token/reject — signer rejects document via token
 router.post('/:token/reject', signatureController.rejectWithToken);
 
-// GET /api/sign/:token/file — serve the original PDF for the signing page
-router.get('/:token/file', catchAsync(async (req, res, next) => {
+// GET /api/sign/:token/file[/:fileId] — serve an original PDF for the
+// signing page; envelopes serve each file by id, the first file by default
+// (viewers use the same route for their read-only link)
+const serveFile = catchAsync(async (req, res, next) => {
   const tokenData = await tokenService.verifyToken(req.params.token);
   if (!tokenData) {
     return next(new AppError('Invalid or expired signing token.', 401));
@@ -35,15 +50,29 @@ router.get('/:token/file', catchAsync(async (req, res, next) => {
     return next(new AppError('Document not found.', 404));
   }
 
-  const filePath = document.originalFile?.path;
+  const signer = document.signers.find(s => s.email === tokenData.email);
+  if (signer && !signerAuthService.isVerified(req, req.params.token, signer)) {
+    return next(new AppError('Please verify your identity before continuing.', 401));
+  }
+
+  const file = document.getFile(req.params.fileId);
+  if (!file) {
+    return next(new AppError('File not found in this document.', 404));
+  }
+
+  const filePath = file.path;
   if (!filePath || !fs.existsSync(filePath)) {
     return next(new AppError('File not found on server.', 404));
   }
 
+  const filename = document.isEnvelope ? file.name.replace(/\.pdf$/i, '') : document.title;
   res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `inline; filename="${document.title}.pdf"`);
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
   fs.createReadStream(filePath).pipe(res);
-}));
+});
+
+router.get('/:token/file', serveFile);
+router.get('/:token/file/:fileId', serveFile);
 
 // ---------------------------------------------------------------------------
 // Protected routes — authenticated users only
@@ -0,0 +1,24 @@
+const express = require('express');
+const templateController = require('../controllers/templateController');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadTemplate } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All template routes require authentication
+router.use(protect);
+
+// Template CRUD operations
+router.route('/')
+  .get(templateController.getMyTemplates)
+  .post(uploadTemplate, templateController.createTemplate);
+
+router.route('/:id')
+  .get(templateController.getTemplate)
+  .patch(templateController.updateTemplate)
+  .delete(templateController.deleteTemplate);
+
+// Create a draft document from the template with real recipients
+router.post('/:id/documents', templateController.createDocumentFromTemplate);
+
+module.exports = router;
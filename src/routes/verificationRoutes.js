@@ -0,0 +1,12 @@
+const express = require('express');
+const verificationController = require('../controllers/verificationController');
+const { uploadVerification } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Public — no login needed to check a document
+router.post('/', uploadVerification, verificationController.verifyDocument);
+router.get('/document/:verificationId', verificationController.verifyById);
+router.get('/:hash', verificationController.verifyDocument);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const { PDFDocument } = require('pdf-lib');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const pdfService = require('./pdfService');
+const AppError = require('../utils/AppError');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'sequence',
+  'action',
+  'status',
+  'userName',
+  'userEmail',
+  'documentId',
+  'documentTitle',
+  'ipAddress',
+  'userAgent',
+  'metadata',
+  'errorMessage',
+  'hash',
+];
+
+// Quote a CSV field, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait until a response can take more data. Rejects if the client goes away
+// first, which would otherwise leave the export waiting forever.
+const drained = async (res) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal }).then(() => {
+        throw new Error('The client disconnected');
+      }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Audit export — a document's or a user's audit events as CSV, NDJSON or a
+// PDF report. CSV and NDJSON are streamed straight from the database.
+//
+// Every export carries the SHA-256 of its content so a copy can be checked
+// later (the hash is also recorded in the audit trail):
+// - CSV and NDJSON: the hash of every byte before the closing summary line
+// - PDF: the hash of the same entries exported as NDJSON, since the report
+//   can't contain its own hash
+// ---------------------------------------------------------------------------
+class AuditExportService {
+  getFormat(format = 'csv') {
+    const config = FORMATS[String(format).toLowerCase()];
+    if (!config) {
+      throw new AppError(`Unsupported export format. Use one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+    }
+    return { name: String(format).toLowerCase(), ...config };
+  }
+
+  // Date range (?from=&to=, ISO dates) and action (?actions=a,b) filters
+  parseFilters({ from, to, actions } = {}) {
+    const filters = {};
+
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError(`Invalid "${key}" date.`, 400);
+      }
+      filters[key] = date;
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new AppError('"from" must be before "to".', 400);
+    }
+
+    if (actions) {
+      const list = (Array.isArray(actions) ? actions : String(actions).split(','))
+        .map((a) => a.trim())
+        .filter(Boolean);
+      const known = AuditLog.schema.path('action').enumValues;
+      const unknown = list.filter((a) => !known.includes(a));
+      if (unknown.length) {
+        throw new AppError(`Unknown audit actions: ${unknown.join(', ')}`, 400);
+      }
+      filters.actions = list;
+    }
+
+    return filters;
+  }
+
+  // scope: { documentId } or { userId }
+  buildQuery(scope, { from, to, actions } = {}) {
+    const query = { ...scope };
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+    if (actions) query.action = { $in: actions };
+    return query;
+  }
+
+  // Entries oldest first, with user names and document titles resolved.
+  // Users and documents deleted since keep their id.
+  async *entries(query) {
+    const users = new Map();
+    const titles = new Map();
+
+    const cursor = AuditLog.find(query).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+
+    // Closed however the caller stops — done, failed or gone
+    try {
+      for await (const log of cursor) {
+        const userId = log.userId?.toString();
+        if (userId && !users.has(userId)) {
+          users.set(userId, await User.findById(userId).select('name email').lean());
+        }
+        const documentId = log.documentId?.toString();
+        if (documentId && !titles.has(documentId)) {
+          titles.set(documentId, (await Document.findById(documentId).select('title').lean())?.title);
+        }
+
+        const user = userId ? users.get(userId) : null;
+        yield {
+          timestamp: log.timestamp.toISOString(),
+          sequence: log.sequence ?? null,
+          action: log.action,
+          status: log.status,
+          user: userId ? { id: userId, name: user?.name ?? null, email: user?.email ?? null } : null,
+          documentId: documentId || null,
+          documentTitle: documentId ? titles.get(documentId) ?? null : null,
+          ipAddress: log.ipAddress ?? null,
+          userAgent: log.userAgent ?? null,
+          metadata: log.metadata || {},
+          errorMessage: log.errorMessage ?? null,
+          hash: log.hash ?? null,
+        };
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  // Stream a CSV or NDJSON export to res. Resolves with the entry count and
+  // the content hash once everything has been written.
+  async stream(res, format, query, { exportedAt = new Date() } = {}) {
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+
+    const write = async (chunk, hashed = true) => {
+      if (res.destroyed) throw new Error('The client disconnected');
+      if (hashed) hash.update(chunk);
+      if (!res.write(chunk)) await drained(res);
+    };
+
+    if (format === 'csv') {
+      await write(`${CSV_COLUMNS.join(',')}\r\n`);
+    }
+
+    for await (const entry of this.entries(query)) {
+      count += 1;
+      if (format === 'csv') {
+        const row = {
+          ...entry,
+          userName: entry.user?.name,
+          userEmail: entry.user?.email,
+          metadata: JSON.stringify(entry.metadata),
+        };
+        await write(`${CSV_COLUMNS.map((column) => csvField(row[column])).join(',')}\r\n`);
+      } else {
+        await write(`${JSON.stringify(entry)}\n`);
+      }
+    }
+
+    const contentHash = hash.digest('hex');
+    const summary = { exportedAt: exportedAt.toISOString(), entries: count, sha256: contentHash };
+    await write(
+      format === 'csv'
+        ? `# SHA-256 ${contentHash} of the ${count} entries above, exported ${summary.exportedAt}\r\n`
+        : `${JSON.stringify({ export: summary })}\n`,
+      false
+    );
+
+    return { count, contentHash };
+  }
+
+  // Build the PDF report. subject: { title, lines[] } describing the scope.
+  async buildPdf(query, { subject, filters = {}, exportedAt = new Date() }) {
+    const entries = [];
+    const hash = crypto.createHash('sha256');
+    for await (const entry of this.entries(query)) {
+      entries.push(entry);
+      hash.update(`${JSON.stringify(entry)}\n`);
+    }
+    const contentHash = hash.digest('hex');
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(`Audit report - ${subject.title}`);
+    const { line, detail, heading, space, footer, utc, grey } = await pdfService.createTextLayout(pdfDoc);
+
+    line('Audit Report', { size: 18, bold: true, gap: 30 });
+    line(subject.title, { size: 12, gap: 18 });
+    for (const [label, value] of subject.lines) detail(label, value);
+    detail('From', filters.from ? utc(filters.from) : 'first entry');
+    detail('To', filters.to ? utc(filters.to) : 'last entry');
+    detail('Actions', filters.actions ? filters.actions.join(', ') : 'all');
+    detail('Entries', entries.length);
+    detail('Content SHA-256', contentHash);
+    line('The hash covers the same entries exported as NDJSON with these filters.', {
+      size: 7,
+      indent: 15,
+      color: grey,
+    });
+
+    heading('Events (UTC)');
+    if (!entries.length) line('No audit events match these filters.', { size: 9, color: grey });
+    for (const entry of entries) {
+      const who = entry.user ? `${entry.user.name || 'Deleted user'} (${entry.user.email || entry.user.id})` : 'System / external signer';
+      const failed = entry.status === 'failure' ? ' [FAILED]' : '';
+      line(`${utc(entry.timestamp)}  ${entry.action}${failed}`, { size: 9, bold: true, gap: 12 });
+      detail('By', who);
+      if (entry.documentId && !query.documentId) {
+        detail('Document', `${entry.documentTitle || 'Deleted document'} (${entry.documentId})`);
+      }
+      if (entry.ipAddress) detail('IP address', entry.ipAddress);
+      if (Object.keys(entry.metadata).length) detail('Details', JSON.stringify(entry.metadata));
+      if (entry.errorMessage) detail('Error', entry.errorMessage);
+      if (entry.hash) detail('Entry hash', `#${entry.sequence} ${entry.hash}`);
+      space(4);
+    }
+
+    space(10);
+    line(`Generated on: ${utc(exportedAt)}`, { size: 8, color: grey });
+    footer(`Audit report - ${subject.title}`);
+
+    const pdf = Buffer.from(await pdfDoc.save());
+    return { pdf, count: entries.length, contentHash };
+  }
+}
+
+module.exports = new AuditExportService();
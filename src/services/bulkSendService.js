@@ -0,0 +1,293 @@
+const BulkSendJob = require('../models/BulkSendJob');
+const Document = require('../models/Document');
+const Template = require('../models/Template');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const { parseCSV } = require('../utils/csvParser');
+const routingService = require('./routingService');
+const templateService = require('./templateService');
+
+// Lease an instance holds on a job while processing rows
+const LEASE_MS = 5 * 60 * 1000;
+const RECIPIENT_COLUMNS = ['name', 'email', 'company'];
+
+// ---------------------------------------------------------------------------
+// Bulk send — one independent Document per CSV row, created from a template
+// or a draft document and sent in the background through the regular send
+// flow. Progress lives on the BulkSendJob so an interrupted job is resumed
+// by the scheduler after a restart.
+// ---------------------------------------------------------------------------
+class BulkSendService {
+  // Turn CSV text into job rows: name, email, company, plus any other column
+  // as a prefilled value for the field with that id
+  parseRecipients(csvText) {
+    const { headers, records, lines } = parseCSV(csvText || '');
+    const columns = headers.map((h) => h.toLowerCase());
+
+    if (!columns.includes('email')) {
+      throw new AppError('The CSV must have a header row with an "email" column.', 400);
+    }
+
+    const maxRows = parseInt(process.env.BULK_SEND_MAX_ROWS) || 1000;
+    if (!records.length) {
+      throw new AppError('The CSV does not contain any recipients.', 400);
+    }
+    if (records.length > maxRows) {
+      throw new AppError(`A bulk send is limited to ${maxRows} recipients.`, 400);
+    }
+
+    return records.map((record, i) => {
+      // Numbered by line in the file, so errors point at the right line
+      const row = { rowNumber: lines[i], fieldValues: {} };
+      headers.forEach((header, h) => {
+        const column = columns[h];
+        if (RECIPIENT_COLUMNS.includes(column)) {
+          row[column] = record[header];
+        } else if (record[header] !== '') {
+          row.fieldValues[header] = record[header];
+        }
+      });
+      return row;
+    });
+  }
+
+  // Load the template-like source a job's documents are created from
+  async loadSource(job) {
+    if (job.source.type === 'template') {
+      const template = await Template.findOne({ _id: job.source.id, owner: job.owner });
+      if (!template) throw new AppError('Template not found.', 404);
+      return { template, recipients: job.recipients || {} };
+    }
+
+    const document = await Document.findOne({ _id: job.source.id, owner: job.owner });
+    if (!document) throw new AppError('Document not found.', 404);
+    return {
+      template: templateService.fromDocument(document),
+      recipients: templateService.getDocumentRecipients(document),
+    };
+  }
+
+  // Validate the request and create a queued job
+  async createJob({ owner, templateId, documentId, roleName, recipients, title, csvText }) {
+    if (!templateId === !documentId) {
+      throw new AppError('Please provide either a templateId or a documentId.', 400);
+    }
+
+    const source = templateId
+      ? { type: 'template', id: templateId }
+      : { type: 'document', id: documentId };
+    const { template } = await this.loadSource({ source, owner, recipients });
+
+    if (source.type === 'document') {
+      const document = await Document.findById(documentId).select('status');
+      if (document.status !== 'draft') {
+        throw new AppError('Only draft documents can be used for a bulk send.', 400);
+      }
+    }
+
+    // Default to the only signer role when there is exactly one
+    const signerRoles = template.roles.filter((r) => (r.role || 'signer') === 'signer');
+    const boundRole = roleName || (signerRoles.length === 1 ? signerRoles[0].name : null);
+    if (!boundRole || !template.roles.some((r) => r.name === boundRole)) {
+      throw new AppError('Please specify which recipient role each CSV row fills (roleName).', 400);
+    }
+
+    // Every other template role needs a fixed recipient up front
+    if (source.type === 'template') {
+      for (const role of template.roles) {
+        if (role.name === boundRole) continue;
+        const recipient = (recipients || {})[role.name];
+        if (!recipient || !templateService.isValidEmail(recipient.email)) {
+          throw new AppError(`Please provide a valid email for the "${role.name}" role.`, 400);
+        }
+      }
+    }
+
+    const rows = this.parseRecipients(csvText);
+
+    return BulkSendJob.create({
+      owner,
+      source,
+      roleName: boundRole,
+      recipients: recipients || {},
+      title,
+      rows,
+    });
+  }
+
+  // Kick off processing without holding up the request
+  start(jobId) {
+    setImmediate(() => {
+      this.process(jobId).catch((err) => {
+        console.error(`❌ Bulk send job ${jobId} failed:`, err.message);
+      });
+    });
+  }
+
+  // Claim the job (lease) so only one instance processes it at a time
+  async claim(jobId) {
+    const now = new Date();
+    return BulkSendJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['queued', 'processing'] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+        },
+      },
+      { new: true }
+    ).populate('owner', 'name email');
+  }
+
+  // Create and send a document for every pending row
+  async process(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) return;
+
+    if (!job.startedAt) job.startedAt = new Date();
+
+    let source;
+    try {
+      source = await this.loadSource({ ...job.toObject(), owner: job.owner._id });
+    } catch (error) {
+      // Source gone — every remaining row fails with the same reason
+      for (const row of job.rows.filter((r) => r.status === 'pending')) {
+        this.markFailed(row, error.message);
+      }
+      return this.finish(job);
+    }
+
+    for (const row of job.rows) {
+      if (row.status !== 'pending') continue;
+
+      await this.processRow(job, row, source);
+
+      // Persist progress and extend the lease after every row
+      job.lockedUntil = new Date(Date.now() + LEASE_MS);
+      await job.save();
+    }
+
+    return this.finish(job);
+  }
+
+  async processRow(job, row, { template, recipients }) {
+    row.attempts += 1;
+
+    if (!templateService.isValidEmail(row.email)) {
+      return this.markFailed(row, `Invalid email: "${row.email || ''}"`);
+    }
+
+    try {
+      // A retried row reuses the document created on a previous attempt
+      let document = row.documentId
+        ? await Document.findById(row.documentId).populate('owner', 'name email')
+        : null;
+
+      if (!document) {
+        document = await templateService.createDocument(template, {
+          owner: job.owner._id,
+          title: job.title,
+          recipients: {
+            ...recipients,
+            [job.roleName]: { name: row.name, email: row.email, company: row.company },
+          },
+          prefill: row.fieldValues || {},
+        });
+        row.documentId = document._id;
+
+        await AuditLog.log({
+          userId: job.owner._id,
+          documentId: document._id,
+          action: 'document_created',
+          metadata: { title: document.title, bulkSendJobId: job._id, rowNumber: row.rowNumber },
+        });
+      }
+
+      let failed;
+      const sendOptions = { userId: job.owner._id, senderName: job.owner.name };
+      if (document.status === 'draft') {
+        failed = await routingService.sendDocument(document, sendOptions);
+      } else {
+        // Sent on an earlier attempt but some invitations bounced — resend those
+        const uninvited = routingService.getActiveSigners(document).filter((s) => !s.invitedAt);
+        failed = await routingService.inviteSigners(document, uninvited, sendOptions);
+        await document.save();
+      }
+
+      if (failed.length) {
+        return this.markFailed(
+          row,
+          `Send error: ${failed.map((f) => `${f.email} (${f.error})`).join(', ')}`
+        );
+      }
+
+      row.status = 'sent';
+      row.error = undefined;
+      row.processedAt = new Date();
+    } catch (error) {
+      this.markFailed(row, error.message);
+    }
+  }
+
+  markFailed(row, message) {
+    row.status = 'failed';
+    row.error = message;
+    row.processedAt = new Date();
+  }
+
+  async finish(job) {
+    const { failed } = job.progress;
+    job.status = failed ? 'completed_with_errors' : 'completed';
+    job.completedAt = new Date();
+    job.lockedUntil = undefined;
+    await job.save();
+
+    await AuditLog.log({
+      userId: job.owner._id,
+      action: 'bulk_send_completed',
+      metadata: { bulkSendJobId: job._id, ...job.progress },
+    });
+
+    return job;
+  }
+
+  // Put failed rows back in the queue and process them again
+  async retryFailed(job) {
+    const failedRows = job.rows.filter((r) => r.status === 'failed');
+    if (!failedRows.length) {
+      throw new AppError('This job has no failed rows to retry.', 400);
+    }
+    if (job.status === 'processing') {
+      throw new AppError('This job is still processing.', 400);
+    }
+
+    for (const row of failedRows) {
+      row.status = 'pending';
+      row.error = undefined;
+    }
+    job.status = 'queued';
+    job.completedAt = undefined;
+    await job.save();
+
+    this.start(job._id);
+    return failedRows.length;
+  }
+
+  // Pick up jobs left queued or half-done by an instance that stopped
+  async resumeStalledJobs() {
+    const stalled = await BulkSendJob.find({
+      status: { $in: ['queued', 'processing'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+    }).select('_id');
+
+    for (const { _id } of stalled) {
+      await this.process(_id);
+    }
+  }
+}
+
+module.exports = new BulkSendService();
@@ -0,0 +1,140 @@
+const AuditLog = require('../models/AuditLog');
+const Signature = require('../models/Signature');
+const routingService = require('./routingService');
+const { hashFile } = require('../utils/fileHash');
+
+// How each signer proved who they were, as printed on the certificate
+const AUTH_METHODS = {
+  email_link: 'Email link (one-time link sent to the address above)',
+  account: 'Signed in to their account',
+  email_otp: 'Email link and a one-time code sent to the address above',
+  sms_otp: 'Email link and a one-time code sent by SMS to their phone',
+  access_code: 'Email link and an access code shared by the sender',
+};
+
+const CODE_METHODS = { email_otp: 'emailed code', sms_otp: 'SMS code', access_code: 'access code' };
+
+const actor = (log) => (log.userId?.email ? `${log.userId.name} (${log.userId.email})` : 'the system');
+
+const listChanges = ({ before = {}, after = {} }) =>
+  Object.keys(after).map((key) => `${key} ${before[key] ?? '-'} -> ${after[key] ?? '-'}`).join(', ');
+
+// Audit events that make it into the condensed timeline, and how they read.
+// Everything else (downloads, token checks, draft edits) is left out, and
+// signing / approving / declining are taken from the recipients themselves,
+// which carry the IP address they acted from.
+const TIMELINE_EVENTS = {
+  document_created: (log) => `Document created by ${actor(log)}`,
+  document_sent: (log) => `Sent for signature by ${actor(log)} to ${(log.metadata.invited || []).join(', ')}`,
+  email_sent: (log) => `Signing request sent to ${(log.metadata.signers || []).join(', ')}`,
+  document_viewed: (log) => `Viewed by ${log.metadata.signerEmail}`,
+  signer_authenticated: (log) =>
+    `Identity of ${log.metadata.signerEmail} verified (${CODE_METHODS[log.metadata.method] || log.metadata.method})`,
+  reminder_sent: (log) => `Reminder sent to ${log.metadata.signerEmail}`,
+  invite_resent: (log) => `Invitation resent to ${log.metadata.signerEmail}`,
+  recipient_added: (log) => `Recipient ${log.metadata.after?.email} added by ${actor(log)}`,
+  recipient_updated: (log) => `Recipient updated by ${actor(log)}: ${listChanges(log.metadata)}`,
+  recipient_removed: (log) => `Recipient ${log.metadata.before?.email} removed by ${actor(log)}`,
+  signer_delegated: (log) =>
+    `${log.metadata.before?.email} delegated signing to ${log.metadata.after?.email}`,
+};
+
+// ---------------------------------------------------------------------------
+// Certificate of completion — gathers what the certificate shows: the file
+// hashes before and after signing, who signed from where and how they were
+// authenticated, and a condensed event timeline from the audit log.
+// ---------------------------------------------------------------------------
+class CertificateService {
+  // Build the certificate data of a finalized document (owner populated)
+  async build(document) {
+    const [signatures, logs] = await Promise.all([
+      Signature.find({ documentId: document._id }),
+      AuditLog.find({ documentId: document._id })
+        .populate('userId', 'name email')
+        .sort('timestamp'),
+    ]);
+
+    const recipients = document.signers
+      .filter((s) => routingService.mustAct(s))
+      .map((s) => {
+        const signature = signatures.find((sig) => sig.signerEmail === s.email);
+        return {
+          name: s.name,
+          email: s.email,
+          role: routingService.getRole(s),
+          order: s.order,
+          viewedAt: s.viewedAt,
+          signedAt: s.signedAt,
+          approvedAt: s.approvedAt,
+          declinedAt: s.declinedAt,
+          ipAddress: s.ipAddress || signature?.ipAddress,
+          userAgent: s.userAgent || signature?.userAgent,
+          authMethod: AUTH_METHODS[s.authMethod || signature?.authMethod || 'email_link'],
+          delegatedFrom: s.delegatedFrom,
+        };
+      });
+
+    const completedAt = document.signedFile?.signedAt || new Date();
+
+    return {
+      title: document.title,
+      documentId: document._id.toString(),
+      owner: document.owner?.email ? { name: document.owner.name, email: document.owner.email } : null,
+      createdAt: document.createdAt,
+      completedAt,
+      files: document.getFiles().map((file) => ({
+        name: file.name,
+        pageCount: file.pageCount,
+        originalHash: file.fileHash || hashFile(file.path),
+        finalHash: file.signedFile?.fileHash || hashFile(file.signedFile?.path),
+      })),
+      seal: document.digitalSignature?.keyId
+        ? {
+          subject: document.digitalSignature.subject,
+          keyId: document.digitalSignature.keyId,
+          fingerprint: document.digitalSignature.fingerprint,
+          signedAt: document.digitalSignature.signedAt,
+          timestamp: document.digitalSignature.timestamp?.token
+            ? document.digitalSignature.timestamp
+            : null,
+        }
+        : null,
+      recipients,
+      timeline: this.buildTimeline(document, logs, completedAt),
+      generatedAt: new Date(),
+    };
+  }
+
+  buildTimeline(document, logs, completedAt) {
+    const events = [];
+    const viewed = new Set();
+
+    for (const log of logs) {
+      const describe = TIMELINE_EVENTS[log.action];
+      if (!describe || log.status === 'failure') continue;
+
+      // Only the first time each recipient opened the document
+      if (log.action === 'document_viewed') {
+        if (viewed.has(log.metadata.signerEmail)) continue;
+        viewed.add(log.metadata.signerEmail);
+      }
+
+      events.push({ at: log.timestamp, event: describe(log), ipAddress: log.ipAddress });
+    }
+
+    for (const s of document.signers.filter((signer) => routingService.mustAct(signer))) {
+      const who = s.name ? `${s.name} (${s.email})` : s.email;
+      if (s.signedAt) events.push({ at: s.signedAt, event: `Signed by ${who}`, ipAddress: s.ipAddress });
+      if (s.approvedAt) events.push({ at: s.approvedAt, event: `Approved by ${who}`, ipAddress: s.ipAddress });
+      if (s.declinedAt) {
+        events.push({ at: s.declinedAt, event: `Declined by ${who}: ${s.declineReason}`, ipAddress: s.ipAddress });
+      }
+    }
+
+    events.push({ at: completedAt, event: 'Document completed' });
+
+    return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const Signature = require('../models/Signature');
+const emailService = require('./emailService');
+const pdfService = require('./pdfService');
+const signingService = require('./signingService');
+const timestampService = require('./timestampService');
+const routingService = require('./routingService');
+const certificateService = require('./certificateService');
+const verificationService = require('./verificationService');
+const { hashFile } = require('../utils/fileHash');
+
+// Signer name shown by PDF readers for the server seal
+const SEAL_NAME = process.env.SIGNING_SEAL_NAME || 'SignatureSaaS';
+
+// ---------------------------------------------------------------------------
+// Completion — once every signer and approver has acted, burn the filled
+// fields and signatures into one signed PDF per file, produce the
+// certificate of completion and send the signed copies out.
+// ---------------------------------------------------------------------------
+class CompletionService {
+  // Generate and save the signed PDF(s), then send the signed copy to CC
+  // recipients
+  async finalize(document) {
+    // Populate all signature records (they're stored as ObjectId refs).
+    // Approver-only documents have none — the PDF is then finalized as-is.
+    const signatures = await Signature.find({ documentId: document._id });
+
+    // Ensure output directory exists
+    const signedDir = path.join(process.cwd(), 'uploads', 'signed');
+    if (!fs.existsSync(signedDir)) {
+      fs.mkdirSync(signedDir, { recursive: true });
+    }
+
+    // Signatures from signers who had no fields assigned are stamped at their
+    // submitted positions on the first file
+    const fieldSigners = new Set(
+      document.signatureFields.filter(f => f.recipientEmail).map(f => f.recipientEmail)
+    );
+    const looseSignatures = signatures.filter(s => !fieldSigners.has(s.signerEmail));
+
+    // One signed PDF per file (a single-file document has just the one)
+    const files = document.getFiles();
+    const signedFiles = [];
+    let sealResult = null;
+    for (const [index, file] of files.entries()) {
+      // Burn signer-filled fields first, then stamp the loose signatures
+      let sourcePath = file.path;
+      let fieldsPdf = null;
+      const fileFields = document.getFieldsForFile(file);
+      if (fileFields.some(f => f.recipientEmail)) {
+        fieldsPdf = await pdfService.generateSignedPDFFromFields(sourcePath, fileFields);
+        sourcePath = fieldsPdf.path;
+      }
+
+      const signedPdfPath = await pdfService.generateSignedPDF(
+        sourcePath,
+        index === 0 ? looseSignatures : []
+      );
+
+      if (fieldsPdf && fs.existsSync(fieldsPdf.path)) {
+        fs.unlinkSync(fieldsPdf.path);
+      }
+
+      const signedFilename = `signed-${Date.now()}-${Math.round(Math.random() * 1e9)}.pdf`;
+      const signedFilepath = path.join(signedDir, signedFilename);
+
+      // Move temp file to final location
+      fs.copyFileSync(signedPdfPath, signedFilepath);
+      // Clean up temp file if different
+      if (signedPdfPath !== signedFilepath && fs.existsSync(signedPdfPath)) {
+        fs.unlinkSync(signedPdfPath);
+      }
+
+      // Optional QR footer on every page, pointing at the public
+      // verification page (drawn before sealing so the seal covers it)
+      if (document.verificationStamp?.enabled) {
+        const { position, size, margin } = document.verificationStamp;
+        await pdfService.addVerificationStamp(signedFilepath, {
+          url: verificationService.getVerificationUrl(document),
+          verificationId: document.verificationId,
+          position,
+          size,
+          margin,
+        });
+      }
+
+      // Seal the final PDF with the server's digital signature (PAdES)
+      if (signingService.isEnabled()) {
+        sealResult = await signingService.signFile(signedFilepath, {
+          name: SEAL_NAME,
+          timestamp: (signature) => this.stampSignature(signature),
+        });
+      }
+
+      const signedFile = {
+        filename: signedFilename,
+        path: signedFilepath,
+        size: fs.statSync(signedFilepath).size,
+        signedAt: new Date(),
+        fileHash: hashFile(signedFilepath),
+        timestamp: await this.stampFile(signedFilepath),
+      };
+      if (file._id) file.signedFile = signedFile;
+      signedFiles.push({ file, signedFile });
+    }
+
+    // The first file's signed copy stays the document's signedFile
+    document.signedFile = signedFiles[0].signedFile;
+
+    // Record which key sealed the files, so signatures stay attributable
+    // after the key is rotated out
+    if (sealResult) {
+      const certificateData = {
+        keyId: sealResult.keyId,
+        fingerprint: sealResult.certificateFingerprint,
+        subject: sealResult.certificateSubject,
+        issuer: sealResult.certificateIssuer,
+        validTo: sealResult.certificateValidTo,
+      };
+      document.digitalSignature = {
+        ...certificateData,
+        subFilter: 'ETSI.CAdES.detached',
+        signedAt: sealResult.signedAt,
+        timestamp: sealResult.signatureTimestamp || undefined,
+      };
+      await Signature.updateMany(
+        { documentId: document._id },
+        { $set: { certificateData, isVerified: true } }
+      );
+    }
+
+    // Certificate of completion covering every file and signer, and each
+    // signed PDF with it appended
+    try {
+      document.certificateFile = await this.generateCertificate(document);
+      for (const { file, signedFile } of signedFiles) {
+        this.setCertifiedFile(document, file, await this.generateCertifiedFile(signedFile, document.certificateFile));
+      }
+    } catch (err) {
+      console.error('❌ Could not generate the certificate of completion:', err.message);
+    }
+
+    document.status = 'signed';
+    await document.save();
+
+    // CC recipients only ever receive the final signed PDFs (best effort)
+    const attachments = signedFiles.map(({ file, signedFile }) => ({
+      filename: document.isEnvelope ? file.name : `${document.title}.pdf`,
+      path: signedFile.path,
+    }));
+    if (document.certificateFile?.path) {
+      attachments.push({ filename: `${document.title} - certificate.pdf`, path: document.certificateFile.path });
+    }
+
+    for (const cc of routingService.getRecipientsByRole(document, 'cc')) {
+      try {
+        await emailService.sendSignedCopy({
+          to: cc.email,
+          recipientName: cc.name || cc.email,
+          documentName: document.title,
+          files: attachments,
+        });
+      } catch (err) {
+        console.error(`Failed to send signed copy to ${cc.email}:`, err.message);
+      }
+    }
+  }
+
+  // Generate and seal the standalone certificate of completion
+  async generateCertificate(document) {
+    const certificate = await pdfService.generateCompletionCertificate(
+      await certificateService.build(document)
+    );
+    if (signingService.isEnabled()) {
+      await signingService.signFile(certificate.path, {
+        name: SEAL_NAME,
+        timestamp: (signature) => this.stampSignature(signature),
+      });
+      certificate.size = fs.statSync(certificate.path).size;
+    }
+    return { ...certificate, fileHash: hashFile(certificate.path), generatedAt: new Date() };
+  }
+
+  // The certificate of documents finalized before every document got one is
+  // generated the first time it is asked for
+  async ensureCertificate(document) {
+    if (document.certificateFile?.path && fs.existsSync(document.certificateFile.path)) {
+      return document.certificateFile;
+    }
+    if (document.status !== 'signed') return null;
+
+    document.certificateFile = await this.generateCertificate(document);
+    await document.save();
+    return document.certificateFile;
+  }
+
+  // A signed PDF with the certificate pages appended, sealed again as a
+  // whole (the original seal can't cover the added pages), saved next to it
+  async generateCertifiedFile(signedFile, certificate) {
+    const merged = await pdfService.mergePDFs([signedFile.path, certificate.path]);
+    const pdf = signingService.isEnabled()
+      ? (await signingService.signPdf(merged, {
+        name: SEAL_NAME,
+        timestamp: (signature) => this.stampSignature(signature),
+      })).pdf
+      : merged;
+
+    const filename = `certified-${Date.now()}-${Math.round(Math.random() * 1e9)}.pdf`;
+    const filePath = path.join(path.dirname(signedFile.path), filename);
+    fs.writeFileSync(filePath, pdf);
+    return { filename, path: filePath, size: pdf.length, fileHash: hashFile(filePath), generatedAt: new Date() };
+  }
+
+  // Envelope files keep their own; the first file's is also the document's
+  // (like signedFile)
+  setCertifiedFile(document, file, certifiedFile) {
+    if (file._id) file.certifiedFile = certifiedFile;
+    if (!file._id || document.getFiles()[0] === file) document.certifiedFile = certifiedFile;
+  }
+
+  // A file's stored certified copy — generated the first time it is asked
+  // for on documents finalized before copies were stored
+  async certifiedCopy(document, file) {
+    if (file.certifiedFile?.path && fs.existsSync(file.certifiedFile.path)) {
+      return file.certifiedFile;
+    }
+
+    const certificate = await this.ensureCertificate(document);
+    if (!certificate || !file.signedFile?.path || !fs.existsSync(file.signedFile.path)) {
+      return null;
+    }
+
+    const certifiedFile = await this.generateCertifiedFile(file.signedFile, certificate);
+    this.setCertifiedFile(document, file, certifiedFile);
+    await document.save();
+    return certifiedFile;
+  }
+
+  // RFC 3161 token over the final PDF's hash, stored with the document. A
+  // TSA outage doesn't block completion — the file is just not timestamped.
+  async stampFile(filePath) {
+    if (!timestampService.isEnabled()) return undefined;
+    try {
+      return await timestampService.stampFile(filePath);
+    } catch (err) {
+      console.error('❌ Could not timestamp the signed PDF:', err.message);
+      return undefined;
+    }
+  }
+
+  // Signature timestamp embedded in the PDF seal (same best-effort rule)
+  async stampSignature(signature) {
+    if (!timestampService.isEnabled()) return null;
+    try {
+      return await timestampService.stampSignature(signature);
+    } catch (err) {
+      console.error('❌ Could not timestamp the PDF signature:', err.message);
+      return null;
+    }
+  }
+
+  // After a recipient acts (or is removed), finalize the document if nobody
+  // is left to sign, otherwise invite the next routing group once the current
+  // one is done. Returns true when the document was completed.
+  async completeOrAdvance(document, { ipAddress, userAgent } = {}) {
+    if (routingService.isComplete(document)) {
+      try {
+        await this.finalize(document);
+        // Notify document owner
+        await emailService.sendDocumentSignedNotification({
+          to: document.owner.email,
+          documentName: document.title,
+          signedBy: document.signers
+            .filter(s => routingService.mustAct(s) && routingService.hasCompleted(s))
+            .map(s => s.name || s.email)
+            .join(', '),
+        });
+      } catch (err) {
+        console.error('Error finalizing signed PDF:', err.message);
+      }
+      return true;
+    }
+
+    await routingService.advance(document, {
+      senderName: document.owner.name,
+      ipAddress,
+      userAgent,
+    });
+    return false;
+  }
+}
+
+module.exports = new CompletionService();
@@ -7,8 +7,12 @@ class EmailService {
   }
 
   // Send signing request email
-  async sendSigningRequest({ to, signerName, documentName, signingUrl, senderName }) {
-    const subject = `Document Ready for Signature: ${documentName}`;
+  // role 'approver' asks for an approval instead of a signature
+  async sendSigningRequest({ to, signerName, documentName, signingUrl, senderName, role = 'signer' }) {
+    const isApprover = role === 'approver';
+    const subject = isApprover
+      ? `Document Ready for Approval: ${documentName}`
+      : `Document Ready for Signature: ${documentName}`;
     const html = `
       <!DOCTYPE html>
       <html>
@@ -25,14 +29,14 @@ class EmailService {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Document Signature Request</h1>
+            <h1>${isApprover ? 'Document Approval Request' : 'Document Signature Request'}</h1>
           </div>
           <div class="content">
             <p>Hello ${signerName},</p>
-            <p><strong>${senderName}</strong> has sent you a document to sign: <strong>"${documentName}"</strong></p>
-            <p>Please review the document and add your signature by clicking the button below:</p>
+            <p><strong>${senderName}</strong> has sent you a document to ${isApprover ? 'approve' : 'sign'}: <strong>"${documentName}"</strong></p>
+            <p>Please review the document and ${isApprover ? 'record your approval' : 'add your signature'} by clicking the button below:</p>
             <div style="text-align: center;">
-              <a href="${signingUrl}" class="button">Sign Document</a>
+              <a href="${signingUrl}" class="button">${isApprover ? 'Review Document' : 'Sign Document'}</a>
             </div>
             <p><small>This link will expire in 7 days for security purposes.</small></p>
             <p>If you're having trouble clicking the button, copy and paste this URL into your browser:</p>
@@ -60,6 +64,209 @@ class EmailService {
     }
   }
 
+  // Send read-only access link to a viewer
+  async sendViewingInvitation({ to, viewerName, documentName, viewingUrl, senderName }) {
+    const subject = `Document Shared With You: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 24px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Document Shared With You</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${viewerName},</p>
+            <p><strong>${senderName}</strong> has shared <strong>"${documentName}"</strong> with you for viewing. No action is required from you.</p>
+            <div style="text-align: center;">
+              <a href="${viewingUrl}" class="button">View Document</a>
+            </div>
+            <p>If you're having trouble clicking the button, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all;"><small>${viewingUrl}</small></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Viewing invitation email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
+  // Send the completed signed PDF to a CC recipient
+  async sendSignedCopy({ to, recipientName, documentName, files }) {
+    const subject = `Signed Copy: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #48bb78 0%, #38a169 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Signed Document</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${recipientName},</p>
+            <p>You were copied on <strong>"${documentName}"</strong>, which has now been signed by all parties.</p>
+            <p>The fully signed ${files.length > 1 ? 'files are' : 'document is'} attached to this email for your records.</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+        attachments: files.map((f) => ({ filename: f.filename, path: f.path, contentType: 'application/pdf' })),
+      });
+      console.log(`✅ Signed copy email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
+  // Send reminder to a signer who hasn't acted yet
+  // role 'approver' asks for an approval instead of a signature
+  async sendSigningReminder({ to, signerName, documentName, signingUrl, senderName, expiresAt, role = 'signer' }) {
+    const isApprover = role === 'approver';
+    const subject = `Reminder: Please ${isApprover ? 'Approve' : 'Sign'} ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 24px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${isApprover ? 'Approval Reminder' : 'Signature Reminder'}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${signerName},</p>
+            <p>This is a friendly reminder that <strong>${senderName}</strong> is still waiting for your ${isApprover ? 'approval' : 'signature'} on <strong>"${documentName}"</strong>.</p>
+            <div style="text-align: center;">
+              <a href="${signingUrl}" class="button">${isApprover ? 'Review Document' : 'Sign Document'}</a>
+            </div>
+            ${expiresAt ? `<p><small>This document must be ${isApprover ? 'approved' : 'signed'} before ${new Date(expiresAt).toUTCString()}.</small></p>` : ''}
+            <p>If you're having trouble clicking the button, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all;"><small>${signingUrl}</small></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Signing reminder email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
+  // Send document expired notification to the owner
+  async sendDocumentExpiredNotification({ to, documentName, expiredAt, pendingSigners }) {
+    const subject = `Document Expired: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #a0aec0 0%, #718096 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Document Expired</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>Your document <strong>"${documentName}"</strong> reached its signing deadline on ${new Date(expiredAt).toUTCString()} before everyone had signed.</p>
+            ${pendingSigners ? `<p><strong>Still waiting on:</strong> ${pendingSigners}</p>` : ''}
+            <p>All outstanding signing links have been disabled. You can upload and send the document again from your dashboard.</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Expiry notification email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
   // Send document signed notification
   async sendDocumentSignedNotification({ to, documentName, signedBy }) {
     const subject = `Document Signed: ${documentName}`;
@@ -110,8 +317,12 @@ class EmailService {
   }
 
   // Send rejection notification
-  async sendRejectionNotification({ to, documentName, reason, rejectedBy }) {
-    const subject = `Document Rejected: ${documentName}`;
+  // documentVoided=false means only the declining signer was removed and the
+  // remaining signers can still complete the document
+  async sendRejectionNotification({ to, documentName, reason, rejectedBy, documentVoided = true }) {
+    const subject = documentVoided
+      ? `Document Rejected: ${documentName}`
+      : `Signer Declined: ${documentName}`;
     const html = `
       <!DOCTYPE html>
       <html>
@@ -127,13 +338,15 @@ class EmailService {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Document Rejected</h1>
+            <h1>${documentVoided ? 'Document Rejected' : 'Signer Declined'}</h1>
           </div>
           <div class="content">
             <p>Hello,</p>
-            <p>Your document <strong>"${documentName}"</strong> has been rejected by <strong>${rejectedBy}</strong>.</p>
+            <p>Your document <strong>"${documentName}"</strong> has been ${documentVoided ? 'rejected' : 'declined'} by <strong>${rejectedBy}</strong>.</p>
             ${reason ? `<p><strong>Reason provided:</strong> ${reason}</p>` : ''}
-            <p>Please review the document and make necessary changes before sending again.</p>
+            ${documentVoided
+              ? '<p>Please review the document and make necessary changes before sending again.</p>'
+              : '<p>This signer has been removed from the document. The remaining signers can still complete it.</p>'}
           </div>
           <div class="footer">
             <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
@@ -156,6 +369,158 @@ class EmailService {
       throw error;
     }
   }
+
+  // Tell a recipient the owner voided a document they had a pending link for
+  async sendDocumentVoidedNotification({ to, recipientName, documentName, reason, voidedBy }) {
+    const subject = `Document Voided: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #718096 0%, #4a5568 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Document Voided</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${recipientName},</p>
+            <p><strong>${voidedBy}</strong> has voided <strong>"${documentName}"</strong>. It no longer needs your signature.</p>
+            <p><strong>Reason provided:</strong> ${reason}</p>
+            <p>The signing link you received earlier has been deactivated. No further action is required.</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Void notification email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
+  // Send a signing link to someone a signer delegated their slot to
+  async sendDelegatedSigningRequest({ to, signerName, documentName, signingUrl, delegatedBy, senderName, note, role = 'signer' }) {
+    const action = role === 'approver' ? 'approve' : 'sign';
+    const subject = `Document Delegated to You: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .note { background: #fff; border-left: 4px solid #667eea; padding: 10px 15px; margin: 15px 0; }
+          .button { display: inline-block; padding: 12px 24px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Document Delegated to You</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${signerName},</p>
+            <p><strong>${delegatedBy}</strong> has asked you to ${action} <strong>"${documentName}"</strong> in their place. The document was sent by <strong>${senderName}</strong>.</p>
+            ${note ? `<div class="note"><strong>Note from ${delegatedBy}:</strong><br>${note}</div>` : ''}
+            <div style="text-align: center;">
+              <a href="${signingUrl}" class="button">${role === 'approver' ? 'Review Document' : 'Sign Document'}</a>
+            </div>
+            <p>If you're having trouble clicking the button, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all;"><small>${signingUrl}</small></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Delegated signing request email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
+  // Tell the owner a signer handed their slot to someone else
+  async sendDelegationNotification({ to, documentName, fromSigner, toSigner, note }) {
+    const subject = `Signer Delegated: ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Signer Delegated</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p><strong>${fromSigner}</strong> has delegated signing of <strong>"${documentName}"</strong> to <strong>${toSigner}</strong>.</p>
+            ${note ? `<p><strong>Note provided:</strong> ${note}</p>` : ''}
+            <p>A new signing link has been sent to ${toSigner}. The original link no longer works.</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Delegation notification email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      throw error;
+    }
+  }
+
   // Send password reset email
   async sendPasswordReset({ to, userName, resetURL }) {
     const subject = 'Reset Your Password (valid for 10 minutes)';
@@ -210,6 +575,110 @@ class EmailService {
       throw error;
     }
   }
+
+  // Invite someone to join an organization (workspace)
+  async sendOrganizationInvitation({ to, organizationName, invitedBy, role, inviteUrl, expiresInDays }) {
+    const subject = `${invitedBy} invited you to join ${organizationName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 24px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Join ${organizationName}</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p><strong>${invitedBy}</strong> invited you to join <strong>"${organizationName}"</strong> as ${role === 'admin' ? 'an' : 'a'} <strong>${role}</strong>.</p>
+            <div style="text-align: center;">
+              <a href="${inviteUrl}" class="button">Accept Invitation</a>
+            </div>
+            <p>Sign in (or create an account) with this email address to accept. The invitation expires in ${expiresInDays} days.</p>
+            <p>If you're having trouble clicking the button, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all;"><small>${inviteUrl}</small></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Organization invitation sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending organization invitation:', error);
+      throw error;
+    }
+  }
+
+  // Send the one-time code a signer enters before opening a document
+  async sendSignerVerificationCode({ to, signerName, documentName, code, expiresInMinutes }) {
+    const subject = `Your verification code for ${documentName}`;
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .code { font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          .warning { color: #c53030; font-size: 13px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Verify Your Identity</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${signerName},</p>
+            <p>Enter this code to open <strong>"${documentName}"</strong>:</p>
+            <p class="code">${code}</p>
+            <p class="warning">⚠️ The code expires in <strong>${expiresInMinutes} minutes</strong>. Never share it — nobody from the sender will ask you for it.</p>
+            <p>If you did not try to open this document, someone else may have your signing link. You can ignore this email.</p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from SignatureSaaS. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    try {
+      await transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+      });
+      console.log(`✅ Verification code email sent to ${to}`);
+    } catch (error) {
+      console.error('❌ Error sending verification code email:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService();
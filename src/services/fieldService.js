@@ -0,0 +1,312 @@
+const safeRegex = require('safe-regex2');
+const AppError = require('../utils/AppError');
+
+const AUTO_FILL_TYPES = ['name', 'email', 'company'];
+const CHOICE_TYPES = ['radio', 'dropdown'];
+const DATA_URL_PATTERN = /^data:image\/(png|jpe?g);base64,[A-Za-z0-9+/=\s]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Longest text value — also bounds the input a validation pattern runs on
+const MAX_TEXT_LENGTH = 1000;
+const MAX_PATTERN_LENGTH = 200;
+
+// ---------------------------------------------------------------------------
+// Signature fields — each field placed in the viewer UI can be assigned to a
+// signer (by email). Signers only see and fill their own fields; fields with
+// no recipient belong to the document owner. Every field type has its own
+// storage shape:
+//   signature / initials     → signatureDataUrl
+//   date                     → dateValue (YYYY-MM-DD)
+//   text                     → textValue (maxLength, validationPattern)
+//   checkbox                 → checked
+//   radio / dropdown         → selectedValue (one of options[].value)
+//   name / email / company   → textValue, auto-filled from the signer
+// ---------------------------------------------------------------------------
+class FieldService {
+  normalizeEmail(email) {
+    return email ? String(email).trim().toLowerCase() : null;
+  }
+
+  // Fields assigned to a given signer
+  getFieldsForRecipient(document, email) {
+    const recipient = this.normalizeEmail(email);
+    return (document.signatureFields || []).filter(
+      (f) => f.recipientEmail && f.recipientEmail === recipient
+    );
+  }
+
+  // Whether a field holds a value
+  isFilled(field) {
+    switch (field.type) {
+      case 'date':
+        return !!field.dateValue;
+      case 'text':
+      case 'name':
+      case 'email':
+      case 'company':
+        return !!field.textValue;
+      case 'checkbox':
+        return !!field.checked;
+      case 'radio':
+      case 'dropdown':
+        return !!field.selectedValue;
+      default:
+        return !!field.signatureDataUrl;
+    }
+  }
+
+  // Check a field's definition (options, patterns) set by the owner
+  validateDefinition(field) {
+    const type = field.type || 'signature';
+    const name = field.id || type;
+
+    if (CHOICE_TYPES.includes(type)) {
+      const values = (field.options || []).map((o) => o && o.value);
+      if (!values.length || values.some((v) => !v)) {
+        throw new AppError(`Field ${name} needs at least one option with a value.`, 400);
+      }
+      if (new Set(values).size !== values.length) {
+        throw new AppError(`Field ${name} has duplicate option values.`, 400);
+      }
+      if (type === 'radio' && field.options.some((o) => !o.position)) {
+        throw new AppError(`Every option of radio group ${name} needs a position.`, 400);
+      }
+    }
+
+    if (type === 'text' && field.validationPattern) {
+      if (String(field.validationPattern).length > MAX_PATTERN_LENGTH) {
+        throw new AppError(`Validation pattern for field ${name} is too long.`, 400);
+      }
+      try {
+        new RegExp(field.validationPattern);
+      } catch (error) {
+        throw new AppError(`Validation pattern for field ${name} is not a valid regular expression.`, 400);
+      }
+      if (!this.isSafePattern(field.validationPattern)) {
+        throw new AppError(
+          `Validation pattern for field ${name} could take too long to check. Please avoid nested repetition such as (a+)+.`,
+          400
+        );
+      }
+    }
+  }
+
+  // Patterns with nested repetition can backtrack for minutes on a crafted
+  // value, blocking the server
+  isSafePattern(pattern) {
+    return String(pattern).length <= MAX_PATTERN_LENGTH && safeRegex(String(pattern));
+  }
+
+  // Validate and store one submitted value according to the field's type
+  setValue(field, value = {}) {
+    const name = field.id || field.type;
+
+    switch (field.type) {
+      case 'date': {
+        const dateValue = value.dateValue || null;
+        if (dateValue && (!DATE_PATTERN.test(dateValue) || Number.isNaN(Date.parse(dateValue)))) {
+          throw new AppError(`Field ${name} must be a date in YYYY-MM-DD format.`, 400);
+        }
+        field.dateValue = dateValue;
+        break;
+      }
+
+      case 'text': {
+        const textValue = value.textValue === undefined || value.textValue === null
+          ? null
+          : String(value.textValue);
+        if (textValue) {
+          const maxLength = Math.min(field.maxLength || MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+          if (textValue.length > maxLength) {
+            throw new AppError(`Field ${name} cannot be longer than ${maxLength} characters.`, 400);
+          }
+          // Fields saved before patterns were checked may still hold an unsafe one
+          if (field.validationPattern && !this.isSafePattern(field.validationPattern)) {
+            throw new AppError(`Field ${name} has a validation pattern that can't be checked. Please contact the sender.`, 400);
+          }
+          if (field.validationPattern && !new RegExp(field.validationPattern).test(textValue)) {
+            throw new AppError(field.validationMessage || `Field ${name} is not in the expected format.`, 400);
+          }
+        }
+        field.textValue = textValue || null;
+        break;
+      }
+
+      case 'checkbox':
+        field.checked = value.checked === true || value.checked === 'true';
+        break;
+
+      case 'radio':
+      case 'dropdown': {
+        const selectedValue = value.selectedValue || null;
+        if (selectedValue && !field.options.some((o) => o.value === selectedValue)) {
+          throw new AppError(`"${selectedValue}" is not a valid choice for field ${name}.`, 400);
+        }
+        field.selectedValue = selectedValue;
+        break;
+      }
+
+      case 'name':
+      case 'email':
+      case 'company':
+        // Auto-filled from the signer — submitted values are ignored
+        return;
+
+      default: {
+        const signatureDataUrl = value.signatureDataUrl || null;
+        if (signatureDataUrl && !DATA_URL_PATTERN.test(signatureDataUrl)) {
+          throw new AppError(`Field ${name} must be a PNG or JPEG image data URL.`, 400);
+        }
+        field.signatureDataUrl = signatureDataUrl;
+      }
+    }
+  }
+
+  // Turn a plain-text value (e.g. a CSV cell) into the value shape of the
+  // field's type, ready for setValue
+  valueFromText(field, text) {
+    const value = String(text).trim();
+
+    switch (field.type) {
+      case 'date':
+        return { dateValue: value };
+      case 'checkbox':
+        return { checked: ['true', 'yes', 'y', '1', 'x'].includes(value.toLowerCase()) };
+      case 'radio':
+      case 'dropdown':
+        return { selectedValue: value };
+      case 'text':
+        return { textValue: value };
+      default:
+        throw new AppError(`Field ${field.id || field.type} cannot be prefilled.`, 400);
+    }
+  }
+
+  // Fill name/email/company fields from the signer's details
+  autoFill(field, signer) {
+    const values = {
+      name: signer.name || signer.email,
+      email: signer.email,
+      company: signer.company,
+    };
+    field.textValue = values[field.type] || null;
+  }
+
+  // Validate the owner's field layout. Assigned fields must point at a signer
+  // on the document and cannot be pre-filled by the owner.
+  prepareOwnerFields(document, fields) {
+    const signerEmails = document.signers
+      .filter((s) => (s.role || 'signer') === 'signer')
+      .map((s) => this.normalizeEmail(s.email));
+
+    return fields.map((field) => {
+      this.validateDefinition(field);
+      const recipientEmail = this.normalizeEmail(field.recipientEmail);
+
+      if (field.fileId && !document.getFile(field.fileId)) {
+        throw new AppError(`Field ${field.id || ''} is placed on a file that is not part of this document.`, 400);
+      }
+
+      if (!recipientEmail) {
+        if (AUTO_FILL_TYPES.includes(field.type)) {
+          throw new AppError(`Field ${field.id || field.type} must be assigned to a signer.`, 400);
+        }
+        // Owner-filled field — values are validated like a signer's
+        const ownerField = { ...field, recipientEmail: null };
+        this.setValue(ownerField, field);
+        return ownerField;
+      }
+
+      if (!signerEmails.includes(recipientEmail)) {
+        throw new AppError(
+          `Field ${field.id || ''} is assigned to ${recipientEmail}, who is not a signer on this document.`,
+          400
+        );
+      }
+
+      return {
+        ...field,
+        recipientEmail,
+        signatureDataUrl: null,
+        dateValue: null,
+        textValue: null,
+        checked: false,
+        selectedValue: null,
+        filledAt: undefined,
+      };
+    });
+  }
+
+  // Apply a signer's submitted values to their own fields. `submitted` is an
+  // array of { id, ...value } in the shape of each field's type. Throws if the
+  // signer tries to fill someone else's field, submits an invalid value or
+  // leaves a required field empty.
+  applySignerValues(document, signer, submitted = []) {
+    const ownFields = this.getFieldsForRecipient(document, signer.email);
+
+    if (!Array.isArray(submitted)) {
+      throw new AppError('Invalid fields format.', 400);
+    }
+
+    for (const value of submitted) {
+      const field = ownFields.find((f) => f.id === value.id);
+      if (!field) {
+        throw new AppError(`You cannot fill field ${value.id}.`, 403);
+      }
+      this.setValue(field, value);
+    }
+
+    return this.completeSignerFields(document, signer);
+  }
+
+  // Auto-fill a signer's fields and check none of the required ones is left
+  // empty — every route a signer signs through goes through this. Returns
+  // the signer's fields.
+  completeSignerFields(document, signer) {
+    const ownFields = this.getFieldsForRecipient(document, signer.email);
+    const now = new Date();
+
+    for (const field of ownFields) {
+      if (AUTO_FILL_TYPES.includes(field.type)) {
+        this.autoFill(field, signer);
+      }
+      field.filledAt = this.isFilled(field) ? now : undefined;
+    }
+
+    const missing = ownFields.filter((f) => f.required && !this.isFilled(f));
+    if (missing.length) {
+      throw new AppError(
+        `Please complete all required fields before submitting (${missing.map((f) => f.id).join(', ')}).`,
+        400
+      );
+    }
+
+    return ownFields;
+  }
+
+  // Serialize fields for the token routes (no other signer's values leak)
+  toSignerView(fields) {
+    return fields.map((f) => ({
+      id: f.id,
+      fileId: f.fileId,
+      type: f.type,
+      label: f.label,
+      pageNumber: f.pageNumber,
+      position: f.position,
+      width: f.width,
+      height: f.height,
+      required: f.required,
+      maxLength: f.maxLength,
+      validationPattern: f.validationPattern,
+      validationMessage: f.validationMessage,
+      options: f.options,
+      autoFilled: AUTO_FILL_TYPES.includes(f.type),
+      signatureDataUrl: f.signatureDataUrl,
+      dateValue: f.dateValue,
+      textValue: f.textValue,
+      checked: f.checked,
+      selectedValue: f.selectedValue,
+    }));
+  }
+}
+
+module.exports = new FieldService();
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const emailService = require('./emailService');
+const templateService = require('./templateService');
+
+const INVITATION_EXPIRES_DAYS = 7;
+
+// What each member role may do in its organization:
+// - view: see and download every document of the workspace
+// - send: create documents in the workspace and manage their own
+// - manage_documents: manage every document of the workspace
+// - manage_members: invite, remove and change the role of members
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'send', 'manage_documents', 'manage_members'],
+  admin: ['view', 'send', 'manage_documents', 'manage_members'],
+  sender: ['view', 'send'],
+  viewer: ['view'],
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// ---------------------------------------------------------------------------
+// Organizations — team workspaces. Documents created in a workspace can be
+// seen by all of its members; senders manage the ones they own, admins and
+// owners every one of them. Documents outside a workspace stay private to
+// their owner. Platform admins (User.role 'admin') keep access to everything.
+// ---------------------------------------------------------------------------
+class OrganizationService {
+  can(role, permission) {
+    return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+  }
+
+  // The organization and the role the user acts with in it (platform admins
+  // who aren't members act as owners), or an error when they're not a
+  // member or their role doesn't allow the permission
+  async requireMembership(organizationId, user, permission = 'view') {
+    const organization = mongoose.isValidObjectId(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+    const member = organization?.getMember(user._id);
+
+    // Non-members can't tell the organization exists
+    if (!organization || (!member && user.role !== 'admin')) {
+      throw new AppError('Organization not found.', 404);
+    }
+    const role = member ? member.role : 'owner';
+    if (!this.can(role, permission)) {
+      throw new AppError('Your role in this organization does not allow this action.', 403);
+    }
+    return { organization, member, role };
+  }
+
+  // Organization for a new document — undefined for a personal document
+  async resolveWorkspace(user, organizationId) {
+    if (!organizationId) return undefined;
+    const { organization } = await this.requireMembership(organizationId, user, 'send');
+    return organization._id;
+  }
+
+  // access: 'view' or 'manage'
+  async canAccessDocument(user, document, access = 'manage') {
+    if (user.role === 'admin') return true;
+
+    const isOwner = idOf(document.owner) === idOf(user._id);
+    if (!document.organization) return isOwner;
+
+    const organization = await Organization.findById(idOf(document.organization)).select('members');
+    const member = organization?.getMember(user._id);
+    if (!member) return false;
+
+    if (access === 'view') return this.can(member.role, 'view');
+    return this.can(member.role, 'manage_documents') || (isOwner && this.can(member.role, 'send'));
+  }
+
+  // The user's organizations with their role in each
+  async listForUser(userId) {
+    const organizations = await Organization.find({ 'members.user': userId })
+      .select('name members createdAt')
+      .sort('name');
+    return organizations.map((organization) => ({
+      _id: organization._id,
+      name: organization.name,
+      role: organization.getMember(userId).role,
+      memberCount: organization.members.length,
+      createdAt: organization.createdAt,
+    }));
+  }
+
+  async create(user, { name }, { ipAddress, userAgent } = {}) {
+    const organization = await Organization.create({
+      name,
+      createdBy: user._id,
+      members: [{ user: user._id, role: 'owner' }],
+    });
+
+    await AuditLog.log({
+      userId: user._id,
+      action: 'organization_created',
+      metadata: { organizationId: organization._id, name: organization.name },
+      ipAddress,
+      userAgent,
+    });
+
+    return organization;
+  }
+
+  // Only owners can hand out or take away the owner role
+  assertCanAssign(actingRole, role, currentRole) {
+    if (!Organization.ROLES.includes(role)) {
+      throw new AppError(`Invalid role "${role}". Use one of: ${Organization.ROLES.join(', ')}`, 400);
+    }
+    if ((role === 'owner' || currentRole === 'owner') && actingRole !== 'owner') {
+      throw new AppError('Only an owner can add, change or remove owners.', 403);
+    }
+  }
+
+  // An organization always keeps at least one owner
+  assertKeepsOwner(organization, member, newRole) {
+    const owners = organization.members.filter((m) => m.role === 'owner');
+    if (member.role === 'owner' && newRole !== 'owner' && owners.length === 1) {
+      throw new AppError('An organization needs at least one owner. Make someone else an owner first.', 400);
+    }
+  }
+
+  // Condition for updating a member still in the role they were checked
+  // in — and, when they are an owner losing the role, while another owner
+  // remains. Two owners demoting each other at once can't both succeed.
+  memberFilter(organizationId, member, newRole) {
+    const filter = {
+      _id: organizationId,
+      $and: [{ members: { $elemMatch: { user: member.user, role: member.role } } }],
+    };
+    if (member.role === 'owner' && newRole !== 'owner') {
+      filter.$and.push({ members: { $elemMatch: { role: 'owner', user: { $ne: member.user } } } });
+    }
+    return filter;
+  }
+
+  // Why a conditional member update didn't match — checked again against
+  // the organization as it is now
+  async explainMemberConflict(organizationId, userId, newRole) {
+    const organization = await Organization.findById(organizationId).select('members');
+    const member = organization?.getMember(userId);
+    if (!member) {
+      throw new AppError('Member not found.', 404);
+    }
+    this.assertKeepsOwner(organization, member, newRole);
+    throw new AppError('This member was changed at the same time. Please try again.', 409);
+  }
+
+  // Email an invitation. Inviting an address again replaces its invitation
+  // (and link).
+  async invite(organization, actingUser, actingRole, { email, role = 'sender' }, { ipAddress, userAgent } = {}) {
+    if (!templateService.isValidEmail(email)) {
+      throw new AppError('Please provide a valid email address.', 400);
+    }
+    this.assertCanAssign(actingRole, role);
+
+    const normalized = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalized }).select('_id');
+    if (existingUser && organization.getMember(existingUser._id)) {
+      throw new AppError(`${normalized} is already a member of this organization.`, 400);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = sha256(token);
+
+    // Replace any earlier invitation, then add the new one only while there
+    // is none for the address (and they haven't joined in the meantime)
+    await Organization.updateOne({ _id: organization._id }, { $pull: { invitations: { email: normalized } } });
+    const updated = await Organization.findOneAndUpdate(
+      {
+        _id: organization._id,
+        'invitations.email': { $ne: normalized },
+        ...(existingUser && { 'members.user': { $ne: existingUser._id } }),
+      },
+      {
+        $push: {
+          invitations: {
+            email: normalized,
+            role,
+            tokenHash,
+            invitedBy: actingUser._id,
+            expiresAt: new Date(Date.now() + INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError(`${normalized} was invited or joined at the same time. Please check the member list.`, 409);
+    }
+    const invitation = updated.invitations.find((i) => i.tokenHash === tokenHash);
+
+    // Points to the frontend invitation page, which accepts it once signed in
+    const inviteUrl = `${process.env.BASE_URL}/invitations/${token}`;
+    let emailed = true;
+    try {
+      await emailService.sendOrganizationInvitation({
+        to: normalized,
+        organizationName: organization.name,
+        invitedBy: actingUser.name,
+        role,
+        inviteUrl,
+        expiresInDays: INVITATION_EXPIRES_DAYS,
+      });
+    } catch (err) {
+      // The invitation can be sent again
+      emailed = false;
+      console.error(`❌ Failed to send organization invitation to ${normalized}:`, err.message);
+    }
+
+    await AuditLog.log({
+      userId: actingUser._id,
+      action: 'member_invited',
+      metadata: { organizationId: organization._id, email: normalized, role, emailed },
+      ipAddress,
+      userAgent,
+    });
+
+    return { invitation, emailed };
+  }
+
+  async revokeInvitation(organization, actingUser, invitationId, { ipAddress, userAgent } = {}) {
+    const invitation = organization.invitations.id(invitationId);
+    if (!invitation) {
+      throw new AppError('Invitation not found.', 404);
+    }
+    const { modifiedCount } = await Organization.updateOne(
+      { _id: organization._id, 'invitations._id': invitation._id },
+      { $pull: { invitations: { _id: invitation._id } } }
+    );
+    if (!modifiedCount) {
+      throw new AppError('This invitation was already accepted or revoked.', 404);
+    }
+
+    await AuditLog.log({
+      userId: actingUser._id,
+      action: 'invitation_revoked',
+      metadata: { organizationId: organization._id, email: invitation.email, role: invitation.role },
+      ipAddress,
+      userAgent,
+    });
+  }
+
+  // Join with an invitation link — only as the account it was sent to
+  async acceptInvitation(token, user, { ipAddress, userAgent } = {}) {
+    const tokenHash = sha256(token);
+    const organization = await Organization.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = organization?.invitations.find((i) => i.tokenHash === tokenHash);
+
+    if (!invitation || invitation.expiresAt < Date.now()) {
+      throw new AppError('This invitation is invalid or has expired.', 400);
+    }
+    if (invitation.email !== user.email) {
+      throw new AppError(`This invitation was sent to ${invitation.email}. Please sign in with that account.`, 403);
+    }
+
+    // Conditional on the invitation still being there, so the link can't
+    // add the member twice
+    const updated = await Organization.findOneAndUpdate(
+      { _id: organization._id, 'invitations._id': invitation._id, 'members.user': { $ne: user._id } },
+      {
+        $pull: { invitations: { _id: invitation._id } },
+        $push: { members: { user: user._id, role: invitation.role, invitedBy: invitation.invitedBy } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('You are already a member of this organization.', 400);
+    }
+
+    await AuditLog.log({
+      userId: user._id,
+      action: 'member_joined',
+      metadata: { organizationId: organization._id, role: invitation.role, invitedBy: invitation.invitedBy },
+      ipAddress,
+      userAgent,
+    });
+
+    return updated;
+  }
+
+  async changeRole(organization, actingUser, actingRole, userId, role, { ipAddress, userAgent } = {}) {
+    const member = organization.getMember(userId);
+    if (!member) {
+      throw new AppError('Member not found.', 404);
+    }
+    this.assertCanAssign(actingRole, role, member.role);
+    this.assertKeepsOwner(organization, member, role);
+
+    const updated = await Organization.findOneAndUpdate(
+      this.memberFilter(organization._id, member, role),
+      { $set: { 'members.$[member].role': role } },
+      { arrayFilters: [{ 'member.user': member.user }], new: true }
+    );
+    if (!updated) {
+      await this.explainMemberConflict(organization._id, userId, role);
+    }
+
+    await AuditLog.log({
+      userId: actingUser._id,
+      action: 'member_role_changed',
+      metadata: { organizationId: organization._id, memberId: idOf(member.user), previousRole: member.role, role },
+      ipAddress,
+      userAgent,
+    });
+
+    return updated.getMember(userId);
+  }
+
+  // Remove a member, or leave (userId is the acting user). Their documents
+  // stay in the workspace.
+  async removeMember(organization, actingUser, actingRole, userId, { ipAddress, userAgent } = {}) {
+    const member = organization.getMember(userId);
+    if (!member) {
+      throw new AppError('Member not found.', 404);
+    }
+    const leaving = idOf(member.user) === idOf(actingUser._id);
+    if (!leaving) {
+      if (!this.can(actingRole, 'manage_members')) {
+        throw new AppError('Your role in this organization does not allow this action.', 403);
+      }
+      this.assertCanAssign(actingRole, member.role, member.role);
+    }
+    this.assertKeepsOwner(organization, member);
+
+    const { modifiedCount } = await Organization.updateOne(
+      this.memberFilter(organization._id, member),
+      { $pull: { members: { user: member.user } } }
+    );
+    if (!modifiedCount) {
+      await this.explainMemberConflict(organization._id, userId);
+    }
+
+    await AuditLog.log({
+      userId: actingUser._id,
+      action: 'member_removed',
+      metadata: { organizationId: organization._id, memberId: idOf(member.user), role: member.role, leaving },
+      ipAddress,
+      userAgent,
+    });
+  }
+}
+
+module.exports = new OrganizationService();
@@ -1,6 +1,7 @@
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { PDFDocument, PDFDict, PDFName, rgb, StandardFonts } = require('pdf-lib');
 const fs = require('fs');
 const path = require('path');
+const QRCode = require('qrcode');
 const AppError = require('../utils/AppError');
 
 class PDFService {
@@ -140,39 +141,60 @@ class PDFService {
         const pdfX = field.position.x;
         // Flip Y: browser top-left origin → PDF bottom-left origin
         const pdfY = pageHeight - field.position.y - fieldH;
+        const box = { x: pdfX, y: pdfY, width: fieldW, height: fieldH };
 
-        if (field.type === 'signature' && field.signatureDataUrl) {
-          try {
-            // Strip data URL prefix to get raw base64
-            const base64 = field.signatureDataUrl.replace(/^data:image\/\w+;base64,/, '');
-            const imgBytes = Buffer.from(base64, 'base64');
-
-            let img;
-            try {
-              img = await pdfDoc.embedPng(imgBytes);
-            } catch {
-              img = await pdfDoc.embedJpg(imgBytes);
+        try {
+          switch (field.type) {
+            case 'date':
+              this.drawFieldText(page, field.dateValue, box, helveticaFont, field.fontSize);
+              break;
+
+            case 'text':
+            case 'name':
+            case 'email':
+            case 'company':
+              this.drawFieldText(page, field.textValue, box, helveticaFont, field.fontSize);
+              break;
+
+            case 'dropdown': {
+              const option = (field.options || []).find((o) => o.value === field.selectedValue);
+              const label = option ? option.label || option.value : null;
+              this.drawFieldText(page, label, box, helveticaFont, field.fontSize);
+              break;
             }
 
-            page.drawImage(img, {
-              x: pdfX,
-              y: pdfY,
-              width: fieldW,
-              height: fieldH,
-            });
-          } catch (err) {
-            console.error('Could not embed signature image, skipping field:', err.message);
+            case 'checkbox':
+              this.drawCheckbox(page, box, field.checked);
+              break;
+
+            case 'radio':
+              this.drawRadioGroup(page, field, pageHeight);
+              break;
+
+            default:
+              // signature / initials — drawn image
+              if (field.signatureDataUrl) {
+                // Strip data URL prefix to get raw base64
+                const base64 = field.signatureDataUrl.replace(/^data:image\/\w+;base64,/, '');
+                const imgBytes = Buffer.from(base64, 'base64');
+
+                let img;
+                try {
+                  img = await pdfDoc.embedPng(imgBytes);
+                } catch {
+                  img = await pdfDoc.embedJpg(imgBytes);
+                }
+
+                page.drawImage(img, {
+                  x: pdfX,
+                  y: pdfY,
+                  width: fieldW,
+                  height: fieldH,
+                });
+              }
           }
-
-        } else if (field.type === 'date' && field.dateValue) {
-          const fontSize = 11;
-          page.drawText(field.dateValue, {
-            x: pdfX + 4,
-            y: pdfY + fieldH / 2 - fontSize / 2,
-            size: fontSize,
-            font: helveticaFont,
-            color: rgb(0, 0, 0),
-          });
+        } catch (err) {
+          console.error(`Could not render ${field.type} field ${field.id}, skipping:`, err.message);
         }
       }
 
@@ -190,6 +212,90 @@ class PDFService {
 
 
 
+  // Draw a single line of text vertically centred in a field box, shrunk to
+  // the box height and truncated to its width
+  drawFieldText(page, text, box, font, fontSize = 11) {
+    if (!text) return;
+
+    const size = Math.min(fontSize || 11, Math.max(box.height - 4, 6));
+    // Standard fonts only cover WinAnsi — replace anything they can't encode
+    let value = String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    while (value.length > 1 && font.widthOfTextAtSize(value, size) > box.width - 8) {
+      value = value.slice(0, -1);
+    }
+
+    page.drawText(value, {
+      x: box.x + 4,
+      y: box.y + box.height / 2 - size / 2,
+      size,
+      font,
+      color: rgb(0, 0, 0),
+    });
+  }
+
+  // Draw a square checkbox, crossed when checked
+  drawCheckbox(page, box, checked) {
+    const side = Math.min(box.width, box.height);
+    const x = box.x;
+    const y = box.y + (box.height - side) / 2;
+
+    page.drawRectangle({
+      x,
+      y,
+      width: side,
+      height: side,
+      borderColor: rgb(0, 0, 0),
+      borderWidth: 1,
+    });
+
+    if (checked) {
+      const inset = side * 0.2;
+      page.drawLine({
+        start: { x: x + inset, y: y + inset },
+        end: { x: x + side - inset, y: y + side - inset },
+        thickness: 1.5,
+        color: rgb(0, 0, 0),
+      });
+      page.drawLine({
+        start: { x: x + inset, y: y + side - inset },
+        end: { x: x + side - inset, y: y + inset },
+        thickness: 1.5,
+        color: rgb(0, 0, 0),
+      });
+    }
+  }
+
+  // Draw every option of a radio group at its own position, filling the
+  // selected one. The field's width/height size each button.
+  drawRadioGroup(page, field, pageHeight) {
+    const side = Math.min(field.width || 20, field.height || 20);
+    const radius = side / 2;
+
+    for (const option of field.options || []) {
+      if (!option.position) continue;
+      // Flip Y like the field itself (browser top-left → PDF bottom-left)
+      const cx = option.position.x + radius;
+      const cy = pageHeight - option.position.y - radius;
+
+      page.drawCircle({
+        x: cx,
+        y: cy,
+        size: radius,
+        borderColor: rgb(0, 0, 0),
+        borderWidth: 1,
+      });
+
+      if (option.value === field.selectedValue) {
+        page.drawCircle({
+          x: cx,
+          y: cy,
+          size: radius * 0.5,
+          color: rgb(0, 0, 0),
+        });
+      }
+    }
+  }
+
   // Draw text signature when image embedding fails
   drawTextSignature(page, text, position, font) {
     page.drawText(`Signed by: ${text}`, {
@@ -209,75 +315,267 @@ class PDFService {
     });
   }
 
-  // Add signature summary page
-  async addSignaturePage(pdfDoc, signatures) {
-    const page = pdfDoc.addPage();
-    const { width, height } = page.getSize();
+  // Stamp every page with a verification footer: a QR code linking to the
+  // public verification page and the document's short ID next to it. The QR
+  // code is drawn as vector squares, so it stays sharp when printed.
+  async addVerificationStamp(filePath, { url, verificationId, position = 'bottom-right', size = 48, margin = 12 }) {
+    try {
+      const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      const { modules } = QRCode.create(url, { errorCorrectionLevel: 'M' });
+
+      // Two modules of white quiet zone on each side, inside `size`
+      const quietZone = 2;
+      const cell = size / (modules.size + quietZone * 2);
+      const labels = [`Envelope ID: ${verificationId}`, 'Scan to verify'];
+      const fontSize = Math.max(5, Math.min(8, size / 7));
+
+      for (const page of pdfDoc.getPages()) {
+        const { width, height } = page.getSize();
+        const right = position.endsWith('right');
+        const x = right ? width - margin - size : margin;
+        const y = position.startsWith('top') ? height - margin - size : margin;
+
+        page.drawRectangle({ x, y, width: size, height: size, color: rgb(1, 1, 1) });
+        for (let row = 0; row < modules.size; row++) {
+          // Draw each horizontal run of dark modules as one rectangle
+          let col = 0;
+          while (col < modules.size) {
+            if (!modules.get(row, col)) {
+              col++;
+              continue;
+            }
+            const start = col;
+            while (col < modules.size && modules.get(row, col)) col++;
+            page.drawRectangle({
+              x: x + (quietZone + start) * cell,
+              y: y + size - (quietZone + row + 1) * cell,
+              width: (col - start) * cell,
+              height: cell,
+              color: rgb(0, 0, 0),
+            });
+          }
+        }
+
+        // ID beside the code, on the side facing the page's centre
+        labels.forEach((label, i) => {
+          const textWidth = font.widthOfTextAtSize(label, fontSize);
+          page.drawText(label, {
+            x: right ? x - 4 - textWidth : x + size + 4,
+            y: y + size / 2 + (i === 0 ? 1 : -fontSize - 1),
+            size: fontSize,
+            font,
+            color: rgb(0.3, 0.3, 0.3),
+          });
+        });
+      }
+
+      fs.writeFileSync(filePath, await pdfDoc.save());
+    } catch (error) {
+      console.error('Error adding verification stamp:', error);
+      throw new AppError('Error adding verification stamp', 500);
+    }
+  }
+
+  // Text layout for generated reports: lines wrap to the page width and
+  // flow onto new pages as needed. Pages added are collected in `pages` so
+  // footers can be drawn once the page count is known.
+  async createTextLayout(pdfDoc) {
     const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
     const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    // Standard fonts only cover WinAnsi — replace anything they can't encode
+    const clean = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    const utc = (date) => (date
+      ? new Date(date).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')
+      : '-');
+    const grey = rgb(0.45, 0.45, 0.45);
+    const margin = 50;
+
+    const pages = [];
+    let page;
+    let y;
+    const newPage = () => {
+      page = pdfDoc.addPage();
+      pages.push(page);
+      y = page.getSize().height - margin;
+    };
+    newPage();
+    const maxWidth = page.getSize().width - margin * 2;
+
+    // Split text into lines that fit the width, breaking long tokens too
+    // (hashes, user agents)
+    const wrap = (text, size, usedFont, width) => {
+      const lines = [];
+      let current = '';
+      for (const word of clean(text).split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (usedFont.widthOfTextAtSize(candidate, size) <= width) {
+          current = candidate;
+          continue;
+        }
+        if (current) lines.push(current);
+        current = word;
+        while (usedFont.widthOfTextAtSize(current, size) > width) {
+          let cut = current.length - 1;
+          while (cut > 1 && usedFont.widthOfTextAtSize(current.slice(0, cut), size) > width) cut--;
+          lines.push(current.slice(0, cut));
+          current = current.slice(cut);
+        }
+      }
+      lines.push(current);
+      return lines;
+    };
+
+    // Start a new page when the next line would run into the footer
+    const line = (text, { size = 10, bold = false, indent = 0, color = rgb(0.2, 0.2, 0.2), gap = 14 } = {}) => {
+      const usedFont = bold ? boldFont : font;
+      for (const part of wrap(text, size, usedFont, maxWidth - indent)) {
+        if (y < margin + 30) newPage();
+        page.drawText(part, { x: margin + indent, y, size, font: usedFont, color });
+        y -= size + 4;
+      }
+      y -= Math.max(gap - (size + 4), 0);
+    };
+    const detail = (label, value) =>
+      line(`${label}: ${value ?? '-'}`, { size: 8, indent: 15, color: grey, gap: 11 });
+    const heading = (text) => {
+      // Keep a heading together with at least its first few lines
+      if (y < margin + 90) newPage();
+      y -= 8;
+      line(text, { size: 12, bold: true, gap: 20 });
+    };
+    const space = (points) => {
+      y -= points;
+    };
+    const footer = (text) => {
+      pages.forEach((p, i) => {
+        p.drawText(clean(`${text} - page ${i + 1} of ${pages.length}`), {
+          x: margin,
+          y: margin - 20,
+          size: 7,
+          font,
+          color: grey,
+        });
+      });
+    };
+
+    return { line, detail, heading, space, footer, utc, grey, pages };
+  }
 
-    // Title
-    page.drawText('Digital Signature Certificate', {
-      x: 50,
-      y: height - 50,
-      size: 18,
-      font: boldFont,
-      color: rgb(0, 0, 0.5),
+  // Draw the certificate of completion onto new pages at the end of pdfDoc.
+  // Long sections flow onto as many pages as they need; every certificate
+  // page gets a footer with the document ID and its page number.
+  async addCertificatePages(pdfDoc, certificate) {
+    const { line, detail, heading, space, footer, utc, grey, pages } = await this.createTextLayout(pdfDoc);
+
+    line('Certificate of Completion', { size: 18, bold: true, color: rgb(0, 0, 0.5), gap: 30 });
+    line(`Document: ${certificate.title}`, { size: 12, gap: 18 });
+    detail('Document ID', certificate.documentId);
+    detail('Sender', certificate.owner ? `${certificate.owner.name} (${certificate.owner.email})` : '-');
+    detail('Created', utc(certificate.createdAt));
+    detail('Completed', utc(certificate.completedAt));
+
+    heading(`Files (${certificate.files.length})`);
+    certificate.files.forEach((file, i) => {
+      line(`${i + 1}. ${file.name} (${file.pageCount || '?'} pages)`, { gap: 13 });
+      detail('Original SHA-256', file.originalHash);
+      detail('Final SHA-256', file.finalHash);
+      space(6);
     });
 
-    // Document information
-    page.drawText(`This document has been digitally signed by:`, {
-      x: 50,
-      y: height - 80,
-      size: 12,
-      font: font,
+    if (certificate.seal) {
+      heading('Digital seal');
+      detail('Signed by', certificate.seal.subject);
+      detail('Key ID', certificate.seal.keyId);
+      detail('Certificate SHA-256', certificate.seal.fingerprint);
+      detail('Sealed', utc(certificate.seal.signedAt));
+      if (certificate.seal.timestamp) {
+        detail('Timestamp', `${utc(certificate.seal.timestamp.time)} by ${certificate.seal.timestamp.issuer}`);
+      }
+    }
+
+    heading(`Signers (${certificate.recipients.length})`);
+    certificate.recipients.forEach((recipient, i) => {
+      const role = recipient.role === 'approver' ? 'Approver' : 'Signer';
+      line(`${i + 1}. ${recipient.name || recipient.email} (${recipient.email})`, { bold: true, gap: 13 });
+      detail('Role', `${role}, routing order ${recipient.order || 1}`);
+      detail('Authentication', recipient.authMethod);
+      detail('Viewed', utc(recipient.viewedAt));
+      if (recipient.declinedAt) {
+        detail('Declined', utc(recipient.declinedAt));
+      } else if (recipient.role === 'approver') {
+        detail('Approved', utc(recipient.approvedAt));
+      } else {
+        detail('Signed', utc(recipient.signedAt));
+      }
+      detail('IP address', recipient.ipAddress);
+      detail('User agent', recipient.userAgent);
+      for (const d of recipient.delegatedFrom || []) {
+        detail('Delegated by', `${d.name || d.email} (${d.email}) on ${utc(d.delegatedAt)}`);
+      }
+      space(6);
     });
 
-    let yPosition = height - 110;
-    
-    // List all signatures
-    for (const signature of signatures) {
-      const signerInfo = `${signature.signerName} (${signature.signerEmail}) - ${new Date(signature.signedAt).toLocaleString()}`;
-      
-      page.drawText(`• ${signerInfo}`, {
-        x: 50,
-        y: yPosition,
-        size: 10,
-        font: font,
-        color: rgb(0.2, 0.2, 0.2),
-      });
+    heading('Event timeline (UTC)');
+    for (const event of certificate.timeline) {
+      const ip = event.ipAddress ? ` [IP ${event.ipAddress}]` : '';
+      line(`${utc(event.at)}  ${event.event}${ip}`, { size: 8, gap: 11 });
+    }
 
-      yPosition -= 20;
+    space(10);
+    line(`Generated on: ${utc(certificate.generatedAt || new Date())}`, { size: 8, color: grey });
 
-      // Add IP and user agent
-      if (signature.ipAddress) {
-        page.drawText(`  IP: ${signature.ipAddress}`, {
-          x: 70,
-          y: yPosition,
-          size: 8,
-          font: font,
-          color: rgb(0.5, 0.5, 0.5),
-        });
-        yPosition -= 15;
-      }
+    footer(`Document ID ${certificate.documentId} - Certificate`);
+
+    return pages.length;
+  }
+
+  // Generate the standalone certificate of completion PDF
+  async generateCompletionCertificate(certificate) {
+    const signedDir = path.join(process.cwd(), 'uploads', 'signed');
+    if (!fs.existsSync(signedDir)) {
+      fs.mkdirSync(signedDir, { recursive: true });
     }
 
-    // Add verification note
-    page.drawText('This signature certificate verifies the authenticity of the signatures.', {
-      x: 50,
-      y: 100,
-      size: 9,
-      font: font,
-      color: rgb(0.5, 0.5, 0.5),
-    });
+    try {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.setTitle(`Certificate of Completion - ${certificate.title}`);
+      await this.addCertificatePages(pdfDoc, certificate);
 
-    page.drawText(`Generated on: ${new Date().toLocaleString()}`, {
-      x: 50,
-      y: 80,
-      size: 8,
-      font: font,
-      color: rgb(0.5, 0.5, 0.5),
-    });
+      const pdfBytes = await pdfDoc.save();
+      const filename = `certificate-${Date.now()}-${Math.round(Math.random() * 1e9)}.pdf`;
+      const filePath = path.join(signedDir, filename);
+      fs.writeFileSync(filePath, pdfBytes);
+
+      return { filename, path: filePath, size: pdfBytes.length };
+    } catch (error) {
+      console.error('Error generating completion certificate:', error);
+      throw new AppError('Error generating completion certificate', 500);
+    }
+  }
+
+  // Copy the pages of several PDFs into one new PDF. Signature widgets are
+  // dropped: the signatures they belong to cover the source files' bytes and
+  // can't carry over, so the merged file has to be sealed again.
+  async mergePDFs(filePaths) {
+    const merged = await PDFDocument.create();
+
+    for (const filePath of filePaths) {
+      const source = await PDFDocument.load(fs.readFileSync(filePath));
+      // Strip before copying so the signature objects aren't copied along
+      for (const page of source.getPages()) {
+        const annots = page.node.Annots();
+        if (!annots) continue;
+        for (let i = annots.size() - 1; i >= 0; i--) {
+          const annot = annots.lookup(i, PDFDict);
+          if (annot.get(PDFName.of('FT')) === PDFName.of('Sig')) annots.remove(i);
+        }
+      }
+      const pages = await merged.copyPages(source, source.getPageIndices());
+      pages.forEach((page) => merged.addPage(page));
+    }
+
+    return Buffer.from(await merged.save({ useObjectStreams: false }));
   }
 
   // Validate PDF
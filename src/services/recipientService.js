@@ -0,0 +1,427 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+const routingService = require('./routingService');
+const templateService = require('./templateService');
+const completionService = require('./completionService');
+const smsService = require('./smsService');
+
+// Recipient details an owner can see change in the audit diff
+const TRACKED_KEYS = ['name', 'email', 'company', 'phone', 'role', 'order'];
+const ROLES = ['signer', 'approver', 'cc', 'viewer'];
+const AUTH_METHODS = ['none', 'email_otp', 'sms_otp', 'access_code'];
+
+// ---------------------------------------------------------------------------
+// Recipient corrections on a sent document — fix a signer's name or email,
+// add or remove recipients that have not acted yet and resend invitations.
+// Every change revokes the recipient's outstanding link and issues a new one;
+// recipients who already signed, approved or declined are locked.
+// ---------------------------------------------------------------------------
+class RecipientService {
+  assertCorrectable(document) {
+    if (document.status !== 'sent') {
+      throw new AppError('Recipients can only be corrected while the document is out for signing.', 400);
+    }
+  }
+
+  // A recipient that has not signed, approved or declined yet
+  findEditable(document, signerId) {
+    const signer = document.signers.id(signerId);
+    if (!signer) {
+      throw new AppError('Recipient not found on this document.', 404);
+    }
+    if (routingService.hasCompleted(signer) || signer.status === 'declined') {
+      throw new AppError(`${signer.email} has already acted on this document and cannot be changed.`, 400);
+    }
+    return signer;
+  }
+
+  validateEmail(document, email, exceptSigner = null) {
+    if (!templateService.isValidEmail(email)) {
+      throw new AppError('Please provide a valid email address.', 400);
+    }
+    const normalized = email.trim().toLowerCase();
+    const taken = document.signers.some(
+      (s) => s !== exceptSigner && (s.email || '').toLowerCase() === normalized
+    );
+    if (taken) {
+      throw new AppError(`${normalized} is already a recipient of this document.`, 400);
+    }
+    return normalized;
+  }
+
+  // An E.164 number, or undefined to clear it — unless the recipient verifies
+  // by SMS, which needs one
+  validatePhone(phone, authMethod) {
+    const value = phone ? String(phone).replace(/[\s()-]/g, '') : undefined;
+    if (value && !smsService.isValidPhone(value)) {
+      throw new AppError('Please provide the phone number in international format, e.g. +447700900123.', 400);
+    }
+    if (!value && authMethod === 'sms_otp') {
+      throw new AppError('A phone number is needed to send this recipient their verification code.', 400);
+    }
+    return value;
+  }
+
+  // How a delegate proves who they are. Nothing carries over from the
+  // previous holder, so a slot that had a check needs a new one — a code sent
+  // to the delegate, or a fresh access code to share with them.
+  validateDelegateAuthentication(authentication, signer) {
+    const method = authentication?.method || 'none';
+    if (!AUTH_METHODS.includes(method)) {
+      throw new AppError(`Invalid verification method "${method}".`, 400);
+    }
+    if (method === 'none' && (signer.authentication?.method || 'none') !== 'none') {
+      throw new AppError('Please choose how the delegate will verify their identity.', 400);
+    }
+    if (method === 'access_code' && !authentication.accessCode) {
+      throw new AppError('Please provide a new access code for the delegate.', 400);
+    }
+    return {
+      method,
+      ...(method === 'access_code' && { accessCode: String(authentication.accessCode) }),
+    };
+  }
+
+  snapshot(signer) {
+    const values = {};
+    for (const key of TRACKED_KEYS) values[key] = signer[key];
+    return values;
+  }
+
+  // Only the keys whose value changed, as { before, after }
+  diff(before, after) {
+    const changes = { before: {}, after: {} };
+    for (const key of TRACKED_KEYS) {
+      if (before[key] !== after[key]) {
+        changes.before[key] = before[key];
+        changes.after[key] = after[key];
+      }
+    }
+    return changes;
+  }
+
+  // Forget everything about the previous invitation
+  resetInvitation(signer) {
+    signer.status = 'pending';
+    signer.invitedAt = undefined;
+    signer.viewedAt = undefined;
+    signer.reminderCount = 0;
+    signer.lastRemindedAt = undefined;
+  }
+
+  // Revoke the recipient's links and, when it is their turn (or they are a
+  // viewer), email a new one. Later routing groups are invited as usual once
+  // the current group finishes; CC recipients only get the signed copy.
+  async reinvite(document, signer, { previousEmail, senderName } = {}) {
+    const revokedTokens = await tokenService.invalidateSignerTokens(
+      document._id,
+      previousEmail || signer.email
+    );
+
+    let invited = false;
+    let error;
+    if (routingService.getRole(signer) === 'viewer') {
+      try {
+        const viewingUrl = await routingService.issueSigningUrl(document, signer);
+        await emailService.sendViewingInvitation({
+          to: signer.email,
+          viewerName: signer.name || signer.email,
+          documentName: document.title,
+          viewingUrl,
+          senderName,
+        });
+        signer.invitedAt = new Date();
+        invited = true;
+      } catch (err) {
+        console.error(`❌ Failed to send viewing email to ${signer.email}:`, err.message);
+        error = err.message;
+      }
+    } else if (routingService.isSignerActive(document, signer)) {
+      const [failed] = await routingService.inviteSigners(document, [signer], { senderName });
+      invited = !failed;
+      error = failed?.error;
+    }
+
+    return { revokedTokens, invited, ...(error && { error }) };
+  }
+
+  // Change a pending recipient's name, email, company or phone
+  async updateRecipient(document, signerId, changes, { userId, senderName, ipAddress, userAgent }) {
+    this.assertCorrectable(document);
+    const signer = this.findEditable(document, signerId);
+    const before = this.snapshot(signer);
+    // Taken back if the correction can't be recorded
+    const rollback = await routingService.checkpoint(document);
+
+    if (changes.email !== undefined) {
+      signer.email = this.validateEmail(document, changes.email, signer);
+    }
+    if (changes.name !== undefined) signer.name = String(changes.name).trim();
+    if (changes.company !== undefined) signer.company = changes.company;
+    if (changes.phone !== undefined) {
+      signer.phone = this.validatePhone(changes.phone, signer.authentication?.method);
+    }
+
+    const diff = this.diff(before, this.snapshot(signer));
+    if (!Object.keys(diff.after).length) {
+      throw new AppError('No changes to apply.', 400);
+    }
+
+    // Fields assigned to the old address move to the corrected one
+    if (diff.after.email) {
+      for (const field of document.signatureFields) {
+        if (field.recipientEmail === before.email) field.recipientEmail = signer.email;
+      }
+    }
+
+    this.resetInvitation(signer);
+    const result = await this.reinvite(document, signer, { previousEmail: before.email, senderName });
+    await document.save();
+
+    await AuditLog.logOrUndo(
+      {
+        userId,
+        documentId: document._id,
+        action: 'recipient_updated',
+        metadata: { signerId: signer._id, ...diff, ...result },
+        ipAddress,
+        userAgent,
+      },
+      rollback
+    );
+
+    return { signer, ...result };
+  }
+
+  // Add a recipient to a sent document — not ahead of the routing group
+  // already in progress
+  async addRecipient(document, data, { userId, senderName, ipAddress, userAgent }) {
+    this.assertCorrectable(document);
+
+    const role = data.role || 'signer';
+    if (!ROLES.includes(role)) {
+      throw new AppError(`Invalid role "${role}".`, 400);
+    }
+
+    const order = data.order === undefined ? undefined : parseInt(data.order, 10);
+    const currentOrder = routingService.getCurrentOrder(document);
+    if (order !== undefined && (Number.isNaN(order) || order < 1)) {
+      throw new AppError('Signer order must be at least 1.', 400);
+    }
+    if (order !== undefined && currentOrder !== null && order < currentOrder) {
+      throw new AppError(
+        `New recipients cannot be placed before routing step ${currentOrder}, which is already in progress.`,
+        400
+      );
+    }
+
+    const rollback = await routingService.checkpoint(document);
+    document.signers.push({
+      name: data.name ? String(data.name).trim() : '',
+      email: this.validateEmail(document, data.email),
+      company: data.company,
+      phone: this.validatePhone(data.phone),
+      role,
+      order: order || currentOrder || 1,
+    });
+    const signer = document.signers[document.signers.length - 1];
+
+    const result = await this.reinvite(document, signer, { senderName });
+    await document.save();
+
+    await AuditLog.logOrUndo(
+      {
+        userId,
+        documentId: document._id,
+        action: 'recipient_added',
+        metadata: { signerId: signer._id, ...this.diff({}, this.snapshot(signer)), ...result },
+        ipAddress,
+        userAgent,
+      },
+      rollback
+    );
+
+    return { signer, ...result };
+  }
+
+  // Remove a recipient who has not acted yet, along with the fields assigned
+  // to them. Removing the last outstanding signer completes the document.
+  async removeRecipient(document, signerId, { userId, ipAddress, userAgent }) {
+    this.assertCorrectable(document);
+    const signer = this.findEditable(document, signerId);
+    const before = this.snapshot(signer);
+
+    const remaining = document.signers.filter((s) => s !== signer);
+    if (!remaining.some((s) => routingService.mustAct(s) && s.status !== 'declined')) {
+      throw new AppError('A document needs at least one signer or approver. Void it instead.', 400);
+    }
+
+    const rollback = await routingService.checkpoint(document);
+    const removedFields = document.signatureFields
+      .filter((f) => f.recipientEmail === signer.email)
+      .map((f) => f.id);
+    document.signatureFields = document.signatureFields.filter(
+      (f) => f.recipientEmail !== signer.email
+    );
+    document.signers.pull(signer._id);
+
+    const revokedTokens = await tokenService.invalidateSignerTokens(document._id, before.email);
+    await document.save();
+
+    await AuditLog.logOrUndo(
+      {
+        userId,
+        documentId: document._id,
+        action: 'recipient_removed',
+        metadata: { signerId, ...this.diff(before, {}), removedFields, revokedTokens },
+        ipAddress,
+        userAgent,
+      },
+      rollback
+    );
+
+    // The removed recipient may have been the last one holding up this step
+    const completed = await completionService.completeOrAdvance(document, { ipAddress, userAgent });
+
+    return { revokedTokens, removedFields, completed };
+  }
+
+  // Hand a pending signer's slot to someone else (token route). The signer
+  // entry keeps its place in the routing order; the previous holder is added
+  // to its delegation chain. The delegate gets their own identity check.
+  async delegate(
+    document,
+    signer,
+    { name, email, company, phone, note, authentication },
+    { ipAddress, userAgent } = {}
+  ) {
+    if (document.status !== 'sent') {
+      throw new AppError('This document is no longer out for signing.', 400);
+    }
+    if (!document.allowDelegation) {
+      throw new AppError('The sender has not allowed delegation on this document.', 403);
+    }
+    if (!routingService.mustAct(signer) || !routingService.isPending(signer)) {
+      throw new AppError('You can no longer delegate this document.', 400);
+    }
+
+    const before = this.snapshot(signer);
+    const newEmail = this.validateEmail(document, email);
+    const newAuthentication = this.validateDelegateAuthentication(authentication, signer);
+    const newPhone = this.validatePhone(phone, newAuthentication.method);
+    const trimmedNote = note ? String(note).trim().slice(0, 500) : undefined;
+    // Taken back (with the delegate's new link) if the delegation can't be recorded
+    const rollback = await routingService.checkpoint(document);
+
+    signer.delegatedFrom.push({
+      name: before.name,
+      email: before.email,
+      note: trimmedNote,
+      delegatedAt: new Date(),
+    });
+    signer.name = name ? String(name).trim() : '';
+    signer.email = newEmail;
+    signer.company = company;
+    signer.phone = newPhone;
+    // Replaced whole — codes, attempts, locks and past checks belong to the
+    // previous holder
+    signer.authentication = newAuthentication;
+    for (const field of document.signatureFields) {
+      if (field.recipientEmail === before.email) field.recipientEmail = newEmail;
+    }
+    this.resetInvitation(signer);
+
+    const revokedTokens = await tokenService.invalidateSignerTokens(document._id, before.email);
+    const signingUrl = await routingService.issueSigningUrl(document, signer);
+    const delegatedBy = before.name || before.email;
+
+    try {
+      await emailService.sendDelegatedSigningRequest({
+        to: signer.email,
+        signerName: signer.name || signer.email,
+        documentName: document.title,
+        signingUrl,
+        delegatedBy,
+        senderName: document.owner.name,
+        note: trimmedNote,
+        role: routingService.getRole(signer),
+      });
+      signer.invitedAt = new Date();
+    } catch (err) {
+      // The owner can resend the invitation from the recipient list
+      console.error(`❌ Failed to send delegated signing email to ${signer.email}:`, err.message);
+    }
+    await document.save();
+
+    await AuditLog.logOrUndo(
+      {
+        userId: null,
+        documentId: document._id,
+        action: 'signer_delegated',
+        metadata: {
+          signerId: signer._id,
+          ...this.diff(before, this.snapshot(signer)),
+          note: trimmedNote,
+          authMethod: newAuthentication.method,
+          delegationChain: [...signer.delegatedFrom.map((d) => d.email), signer.email],
+          revokedTokens,
+          invited: !!signer.invitedAt,
+        },
+        ipAddress,
+        userAgent,
+      },
+      rollback
+    );
+
+    try {
+      await emailService.sendDelegationNotification({
+        to: document.owner.email,
+        documentName: document.title,
+        fromSigner: delegatedBy,
+        toSigner: signer.name ? `${signer.name} (${signer.email})` : signer.email,
+        note: trimmedNote,
+      });
+    } catch (err) {
+      console.error('Failed to send delegation email:', err.message);
+    }
+
+    return signer;
+  }
+
+  // Email a fresh link to a recipient whose turn it is
+  async resendInvite(document, signerId, { userId, senderName, ipAddress, userAgent }) {
+    this.assertCorrectable(document);
+    const signer = this.findEditable(document, signerId);
+
+    const role = routingService.getRole(signer);
+    if (role === 'cc') {
+      throw new AppError('CC recipients only receive the signed copy — there is no invitation to resend.', 400);
+    }
+    if (role !== 'viewer' && !routingService.isSignerActive(document, signer)) {
+      throw new AppError('It is not this recipient\'s turn yet; they will be invited automatically.', 400);
+    }
+
+    const result = await this.reinvite(document, signer, { senderName });
+    if (!result.invited) {
+      throw new AppError(`Could not send the invitation: ${result.error}`, 502);
+    }
+    signer.reminderCount = 0;
+    signer.lastRemindedAt = undefined;
+    await document.save();
+
+    await AuditLog.log({
+      userId,
+      documentId: document._id,
+      action: 'invite_resent',
+      metadata: { signerId: signer._id, signerEmail: signer.email, revokedTokens: result.revokedTokens },
+      ipAddress,
+      userAgent,
+    });
+
+    return { signer, ...result };
+  }
+}
+
+module.exports = new RecipientService();
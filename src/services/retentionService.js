@@ -0,0 +1,239 @@
+const AuditLog = require('../models/AuditLog');
+const AuditChain = require('../models/AuditChain');
+const AuditPurge = require('../models/AuditPurge');
+const Document = require('../models/Document');
+const loadRetentionConfig = require('../config/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deleted-document trails looked up per query
+const PURGE_BATCH_SIZE = 500;
+
+// ---------------------------------------------------------------------------
+// Audit retention — removes audit entries once their retention period (see
+// config/retention) is over:
+//
+// - Category chains (auth, template, ...) are trimmed from the start, so the
+//   rest of the chain still verifies from the last purged entry.
+// - A document's trail is kept as long as the document exists, and removed
+//   as a whole once the period for its status at deletion has passed.
+//   Documents under legal hold can't be deleted, so their trail stays.
+//
+// Every run is recorded in AuditPurge and logged to the 'retention' chain.
+// ---------------------------------------------------------------------------
+class RetentionService {
+  constructor() {
+    this.config = null;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      this.config = loadRetentionConfig();
+    }
+    return this.config;
+  }
+
+  // Bring databases created before configurable retention up to date: file
+  // chained entries under their chain, then drop the old 90-day TTL index
+  // and the per-document sequence index in favour of the current ones
+  async prepare() {
+    // The chain name isn't part of the entry hash, so this leaves the
+    // chains verifiable
+    const { modifiedCount: documentEntries } = await AuditLog.updateMany(
+      { sequence: { $exists: true }, chain: { $exists: false }, documentId: { $ne: null } },
+      [{ $set: { chain: { $toString: '$documentId' } } }]
+    );
+    const { modifiedCount: systemEntries } = await AuditLog.updateMany(
+      { sequence: { $exists: true }, chain: { $exists: false }, documentId: null },
+      { $set: { chain: 'system' } }
+    );
+    if (documentEntries + systemEntries > 0) {
+      console.log(`✅ Assigned ${documentEntries + systemEntries} audit entries to their chains`);
+    }
+
+    const dropped = await AuditLog.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`✅ Dropped legacy audit log indexes: ${dropped.join(', ')}`);
+    }
+  }
+
+  // Purge unless another instance already did in this interval
+  async purgeIfDue(now = new Date()) {
+    const intervalMs = this.getConfig().purgeIntervalHours * 60 * 60 * 1000;
+    const slot = Math.floor(now.getTime() / intervalMs);
+
+    let run;
+    try {
+      run = await AuditPurge.create({ slot, startedAt: now });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    return this.purge(run, now);
+  }
+
+  async purge(run, now = new Date()) {
+    try {
+      await this.purgeCategories(run, now);
+      await this.purgeDeletedDocuments(run, now);
+
+      run.totalRemoved = run.removed.reduce((total, r) => total + r.count, 0);
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.errorMessage = error.message;
+      console.error('❌ Audit purge failed:', error.message);
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    await AuditLog.log({
+      userId: null,
+      action: 'audit_purged',
+      status: run.status === 'completed' ? 'success' : 'failure',
+      errorMessage: run.errorMessage,
+      metadata: {
+        purgeId: run._id,
+        totalRemoved: run.totalRemoved,
+        removed: run.removed.map((r) => ({
+          chain: r.chain,
+          count: r.count,
+          fromSequence: r.fromSequence,
+          toSequence: r.toSequence,
+        })),
+      },
+    });
+
+    if (run.totalRemoved > 0) {
+      const chains = run.removed.map((r) => `${r.chain} (${r.count})`).join(', ');
+      console.log(`✅ Audit purge removed ${run.totalRemoved} entries: ${chains}`);
+    }
+
+    return run;
+  }
+
+  // Trim each category chain up to its last entry older than the cutoff
+  async purgeCategories(run, now) {
+    const categorized = Object.keys(AuditLog.ACTION_CATEGORIES);
+
+    for (const [category, days] of Object.entries(this.getConfig().categories)) {
+      if (days === null) continue;
+      const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+      const last = await AuditLog.findOne({
+        chain: category,
+        sequence: { $exists: true },
+        timestamp: { $lt: cutoff },
+      })
+        .sort({ sequence: -1 })
+        .select('sequence hash');
+
+      const first = last
+        ? await AuditLog.findOne({ chain: category, sequence: { $exists: true } })
+          .sort({ sequence: 1 })
+          .select('sequence')
+        : null;
+
+      // Entries from before chaining, which have no chain to keep intact
+      const actions = category === 'system'
+        ? { $nin: categorized }
+        : { $in: categorized.filter((action) => AuditLog.ACTION_CATEGORIES[action] === category) };
+      const { deletedCount: legacyCount } = await AuditLog.deleteMany({
+        documentId: null,
+        sequence: { $exists: false },
+        action: actions,
+        timestamp: { $lt: cutoff },
+      });
+
+      let count = legacyCount;
+      if (last) {
+        // Record the new start of the chain first — if the delete is
+        // interrupted, verification reports the leftovers rather than a gap
+        await AuditChain.updateOne(
+          { chain: category },
+          { $set: { purgedThrough: { sequence: last.sequence, hash: last.hash, purgedAt: now } } }
+        );
+        const { deletedCount } = await AuditLog.deleteMany({
+          chain: category,
+          sequence: { $lte: last.sequence },
+        });
+        count += deletedCount;
+      }
+
+      if (count > 0) {
+        run.removed.push({
+          chain: category,
+          kind: 'category',
+          count,
+          fromSequence: first?.sequence,
+          toSequence: last?.sequence,
+          olderThan: cutoff,
+        });
+      }
+    }
+  }
+
+  // Remove the trails of deleted documents whose retention period is over.
+  // Document ids are streamed from the trails and checked a batch at a time,
+  // so the number of trails is never held in memory (or in one query).
+  async purgeDeletedDocuments(run, now) {
+    const cursor = AuditLog.aggregate([
+      { $match: { documentId: { $ne: null } } },
+      { $group: { _id: '$documentId' } },
+    ])
+      .allowDiskUse(true)
+      .cursor({ batchSize: PURGE_BATCH_SIZE });
+
+    let batch = [];
+    for await (const { _id } of cursor) {
+      batch.push(_id);
+      if (batch.length === PURGE_BATCH_SIZE) {
+        await this.purgeDocumentBatch(batch, run, now);
+        batch = [];
+      }
+    }
+    if (batch.length) await this.purgeDocumentBatch(batch, run, now);
+  }
+
+  async purgeDocumentBatch(documentIds, run, now) {
+    const { documents: periods } = this.getConfig();
+    const existing = new Set(
+      (await Document.find({ _id: { $in: documentIds } }).select('_id')).map((d) => d._id.toString())
+    );
+
+    for (const documentId of documentIds) {
+      if (existing.has(documentId.toString())) continue;
+
+      const deletion = await AuditLog.findOne({ documentId, action: 'document_deleted' })
+        .sort({ timestamp: -1 });
+      // Trails without a deletion entry count from their last entry
+      const lastEntry = deletion || await AuditLog.findOne({ documentId }).sort({ timestamp: -1 });
+      const status = deletion?.metadata?.status;
+      const days = periods[status] !== undefined ? periods[status] : periods.default;
+      if (days === null) continue;
+
+      const deletedAt = lastEntry.timestamp;
+      if (deletedAt.getTime() + days * DAY_MS > now.getTime()) continue;
+
+      const [first, last] = await Promise.all([
+        AuditLog.findOne({ documentId, sequence: { $exists: true } }).sort({ sequence: 1 }).select('sequence'),
+        AuditLog.findOne({ documentId, sequence: { $exists: true } }).sort({ sequence: -1 }).select('sequence'),
+      ]);
+      const { deletedCount } = await AuditLog.deleteMany({ documentId });
+      await AuditChain.deleteOne({ chain: documentId.toString() });
+
+      run.removed.push({
+        chain: documentId.toString(),
+        kind: 'document',
+        count: deletedCount,
+        fromSequence: first?.sequence,
+        toSequence: last?.sequence,
+        olderThan: deletedAt,
+        documentStatus: status || 'unknown',
+      });
+    }
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,268 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+
+// ---------------------------------------------------------------------------
+// Routing order — signers are grouped by their `order` value. Only the lowest
+// group that still has pending signers is invited; signers sharing an order
+// number sign in parallel ("both managers, then the director").
+// Only signers and approvers take part in routing; CC recipients and viewers
+// never hold up completion.
+// ---------------------------------------------------------------------------
+const ACTING_ROLES = ['signer', 'approver'];
+
+class RoutingService {
+  // Recipient role (legacy entries without one are signers)
+  getRole(signer) {
+    return signer.role || 'signer';
+  }
+
+  // Whether this recipient has to sign or approve before the document completes
+  mustAct(signer) {
+    return ACTING_ROLES.includes(this.getRole(signer));
+  }
+
+  // Whether this recipient has already signed or approved
+  hasCompleted(signer) {
+    return signer.signed || signer.status === 'approved';
+  }
+
+  // Recipients with a given role
+  getRecipientsByRole(document, role) {
+    return document.signers.filter((s) => this.getRole(s) === role);
+  }
+
+  // Routing order of a signer (legacy entries without one sign in group 1)
+  getOrder(signer) {
+    return signer.order || 1;
+  }
+
+  // Whether a recipient still has to act (declined signers are out of the flow)
+  isPending(signer) {
+    return (
+      this.mustAct(signer) &&
+      !this.hasCompleted(signer) &&
+      signer.status !== 'declined'
+    );
+  }
+
+  // Every remaining signer/approver has acted — declined signers, CC
+  // recipients and viewers are not waited on
+  isComplete(document) {
+    return (
+      document.signers.some((s) => this.mustAct(s) && this.hasCompleted(s)) &&
+      document.signers.every((s) => !this.isPending(s))
+    );
+  }
+
+  // Lowest routing order that still has someone left to sign (null when done)
+  getCurrentOrder(document) {
+    const pending = document.signers.filter((s) => this.isPending(s));
+    if (!pending.length) return null;
+    return Math.min(...pending.map((s) => this.getOrder(s)));
+  }
+
+  // Signers in the current routing group that have not signed yet
+  getActiveSigners(document) {
+    const currentOrder = this.getCurrentOrder(document);
+    if (currentOrder === null) return [];
+    return document.signers.filter(
+      (s) => this.isPending(s) && this.getOrder(s) === currentOrder
+    );
+  }
+
+  // Whether it is this signer's turn to act
+  isSignerActive(document, signer) {
+    return (
+      this.isPending(signer) &&
+      this.getCurrentOrder(document) === this.getOrder(signer)
+    );
+  }
+
+  // Generate a new token for a signer, persist it and return the signing URL.
+  // Links live until the document's signing deadline when one is set.
+  async issueSigningUrl(document, signer) {
+    let expiryInSeconds;
+    if (document.expiresAt) {
+      expiryInSeconds = Math.max(
+        60,
+        Math.floor((new Date(document.expiresAt).getTime() - Date.now()) / 1000)
+      );
+    }
+
+    const rawToken = tokenService.generateToken();
+    await tokenService.storeToken(
+      rawToken,
+      {
+        documentId: document._id,
+        email: signer.email,
+      },
+      expiryInSeconds
+    );
+
+    return tokenService.generateSigningUrl(rawToken, process.env.BASE_URL);
+  }
+
+  // Issue a fresh token and email a signing link to each given signer.
+  // Returns [{ email, error }] for every invitation that could not be sent.
+  async inviteSigners(document, signers, { senderName }) {
+    const failed = [];
+
+    for (const signer of signers) {
+      try {
+        const signingUrl = await this.issueSigningUrl(document, signer);
+
+        await emailService.sendSigningRequest({
+          to: signer.email,
+          signerName: signer.name || signer.email,
+          documentName: document.title,
+          signingUrl,
+          senderName,
+          role: this.getRole(signer),
+        });
+
+        signer.invitedAt = new Date();
+        console.log(`✅ Signing email sent to ${signer.email}`);
+      } catch (emailError) {
+        // Log but don't fail the whole request — other signers can still be emailed
+        console.error(`❌ Failed to send signing email to ${signer.email}:`, emailError.message);
+        failed.push({ email: signer.email, error: emailError.message });
+      }
+    }
+
+    return failed;
+  }
+
+  // Email viewers a read-only link (they are outside the routing order)
+  async inviteViewers(document, { senderName }) {
+    const viewers = this.getRecipientsByRole(document, 'viewer').filter((v) => !v.invitedAt);
+
+    for (const viewer of viewers) {
+      try {
+        const viewingUrl = await this.issueSigningUrl(document, viewer);
+
+        await emailService.sendViewingInvitation({
+          to: viewer.email,
+          viewerName: viewer.name || viewer.email,
+          documentName: document.title,
+          viewingUrl,
+          senderName,
+        });
+
+        viewer.invitedAt = new Date();
+      } catch (emailError) {
+        console.error(`❌ Failed to send viewing email to ${viewer.email}:`, emailError.message);
+      }
+    }
+
+    return viewers;
+  }
+
+  // Remember the document and its outstanding links before a change.
+  // Resolves with a function that puts both back (see AuditLog.logOrUndo).
+  async checkpoint(document) {
+    const snapshot = document.snapshot();
+    const outstanding = await tokenService.getOutstandingTokens(document._id);
+    return async () => {
+      if (!(await document.restore(snapshot))) {
+        console.error(`❌ Document ${document._id} changed again before it could be put back`);
+      }
+      await tokenService.restoreTokens(document._id, outstanding);
+    };
+  }
+
+  // Move a draft document to 'sent' and invite the first routing group.
+  // Only the first group is invited now; later groups are invited
+  // automatically as each group finishes signing. A fresh token is always
+  // generated so that signers added after upload (via updateDocument) also
+  // get an email. Returns the signers whose invitation email failed.
+  async sendDocument(document, { userId, senderName, ipAddress, userAgent }) {
+    if (document.status !== 'draft') {
+      throw new AppError('Document has already been sent or signed.', 400);
+    }
+
+    if (!document.signers || !document.signers.some((s) => this.mustAct(s))) {
+      throw new AppError('Please add at least one signer or approver before sending.', 400);
+    }
+
+    if (document.expiresAt && new Date(document.expiresAt).getTime() <= Date.now()) {
+      throw new AppError('The signing deadline has already passed.', 400);
+    }
+
+    const activeSigners = this.getActiveSigners(document);
+
+    const rollback = await this.checkpoint(document);
+
+    // Update status
+    document.status = 'sent';
+    document.scheduleNextReminder();
+    await document.save();
+
+    // Recorded once the document is sent but before any invitation goes out
+    // — if the audit trail can't be written it goes back to being a draft
+    await AuditLog.logOrUndo(
+      {
+        userId,
+        documentId: document._id,
+        action: 'document_sent',
+        metadata: {
+          signersCount: document.signers.length,
+          signers: document.signers.map((s) => s.email),
+          routingOrder: this.getCurrentOrder(document),
+          invited: activeSigners.map((s) => s.email),
+        },
+        ipAddress,
+        userAgent,
+      },
+      rollback
+    );
+
+    const failed = await this.inviteSigners(document, activeSigners, { senderName });
+    // Viewers get a read-only link straight away; CC recipients wait for the
+    // signed copy
+    await this.inviteViewers(document, { senderName });
+    await document.save();
+
+    if (failed.length) {
+      await AuditLog.log({
+        userId,
+        documentId: document._id,
+        action: 'email_sent',
+        status: 'failure',
+        errorMessage: 'Some signing invitations could not be sent',
+        metadata: { failed: failed.map((f) => ({ email: f.email, error: f.error })) },
+        ipAddress,
+        userAgent,
+      });
+    }
+
+    return failed;
+  }
+
+  // Invite the next routing group once every signer in the current one is done.
+  // Returns the signers that were invited (empty when nothing changed).
+  async advance(document, { senderName, ipAddress, userAgent } = {}) {
+    const nextSigners = this.getActiveSigners(document).filter((s) => !s.invitedAt);
+    if (!nextSigners.length) return [];
+
+    await this.inviteSigners(document, nextSigners, { senderName });
+    await document.save();
+
+    await AuditLog.log({
+      userId: null,
+      documentId: document._id,
+      action: 'email_sent',
+      metadata: {
+        routingOrder: this.getOrder(nextSigners[0]),
+        signers: nextSigners.map((s) => s.email),
+      },
+      ipAddress,
+      userAgent,
+    });
+
+    return nextSigners;
+  }
+}
+
+module.exports = new RoutingService();
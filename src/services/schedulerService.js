@@ -0,0 +1,193 @@
+const Document = require('../models/Document');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+const routingService = require('./routingService');
+const bulkSendService = require('./bulkSendService');
+const retentionService = require('./retentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a scheduler instance holds a document while it sends reminders
+const CLAIM_MS = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Background scheduler — sends signing reminders, expires documents past
+// their deadline, resumes interrupted bulk sends and purges audit entries
+// past their retention period. All state (nextReminderAt, expiresAt,
+// per-signer reminder counters, job leases, purge runs) lives in MongoDB, so
+// nothing is lost across restarts and several server instances can run side
+// by side.
+// ---------------------------------------------------------------------------
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    // Names of the tasks still running from an earlier pass
+    this.running = new Set();
+  }
+
+  // Start polling (interval from SCHEDULER_INTERVAL_MS, default 1 minute)
+  start(intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), intervalMs);
+    this.timer.unref();
+    console.log(`✅ Scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Run one pass of every task. Each task is skipped while its previous run
+  // is still going, so a long bulk send or purge doesn't hold up reminders
+  // and expiry (or start again on top of itself).
+  async runOnce() {
+    const now = new Date();
+    await Promise.all([
+      this.runTask('documents', async () => {
+        await this.expireDocuments(now);
+        await this.sendReminders(now);
+      }),
+      this.runTask('bulk_send', () => bulkSendService.resumeStalledJobs()),
+      this.runTask('retention', () => retentionService.purgeIfDue(now)),
+    ]);
+  }
+
+  async runTask(name, task) {
+    if (this.running.has(name)) return;
+    this.running.add(name);
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Scheduler task ${name} failed:`, error.message);
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  // Move sent documents past their deadline to 'expired' and notify the owner
+  async expireDocuments(now) {
+    const due = await Document.find({
+      status: 'sent',
+      expiresAt: { $lte: now },
+    }).select('_id');
+
+    for (const { _id } of due) {
+      // Atomic status change so only one instance expires each document
+      const document = await Document.findOneAndUpdate(
+        { _id, status: 'sent' },
+        { $set: { status: 'expired', expiredAt: now }, $unset: { nextReminderAt: 1 } },
+        { new: true }
+      ).populate('owner', 'name email');
+
+      if (!document) continue;
+
+      const revokedTokens = await tokenService.invalidateDocumentTokens(document._id);
+      const pendingSigners = document.signers.filter((s) => routingService.isPending(s));
+
+      try {
+        await emailService.sendDocumentExpiredNotification({
+          to: document.owner.email,
+          documentName: document.title,
+          expiredAt: now,
+          pendingSigners: pendingSigners.map((s) => s.name || s.email).join(', '),
+        });
+      } catch (err) {
+        console.error('Failed to send expiry email:', err.message);
+      }
+
+      await AuditLog.log({
+        userId: null,
+        documentId: document._id,
+        action: 'document_expired',
+        metadata: {
+          expiresAt: document.expiresAt,
+          pendingSigners: pendingSigners.map((s) => s.email),
+          revokedTokens,
+        },
+      });
+    }
+  }
+
+  // Email the current routing group's signers who are due a reminder
+  async sendReminders(now) {
+    const due = await Document.find({
+      status: 'sent',
+      nextReminderAt: { $lte: now },
+    }).select('_id');
+
+    for (const { _id } of due) {
+      // Claim the document so a parallel instance doesn't remind twice
+      const document = await Document.findOneAndUpdate(
+        { _id, status: 'sent', nextReminderAt: { $lte: now } },
+        { $set: { nextReminderAt: new Date(now.getTime() + CLAIM_MS) } },
+        { new: true }
+      ).populate('owner', 'name email');
+
+      if (!document) continue;
+
+      try {
+        await this.remindSigners(document, now);
+      } catch (err) {
+        console.error(`Failed to send reminders for document ${document._id}:`, err.message);
+      }
+
+      document.scheduleNextReminder(now);
+      await document.save();
+    }
+  }
+
+  async remindSigners(document, now) {
+    const { intervalDays, maxReminders } = document.reminderSettings;
+    const intervalMs = intervalDays * DAY_MS;
+
+    for (const signer of routingService.getActiveSigners(document)) {
+      if (!signer.invitedAt || signer.reminderCount >= maxReminders) continue;
+
+      // Wait a full interval since the invite or the previous reminder
+      const lastContact = signer.lastRemindedAt || signer.invitedAt;
+      if (now.getTime() - new Date(lastContact).getTime() < intervalMs) continue;
+
+      // Reuse the signer's outstanding link, or issue a new one if it lapsed
+      const existingToken = await tokenService.getToken(document._id, signer.email);
+      const signingUrl = existingToken
+        ? tokenService.generateSigningUrl(existingToken, process.env.BASE_URL)
+        : await routingService.issueSigningUrl(document, signer);
+
+      try {
+        await emailService.sendSigningReminder({
+          to: signer.email,
+          signerName: signer.name || signer.email,
+          documentName: document.title,
+          signingUrl,
+          senderName: document.owner.name,
+          expiresAt: document.expiresAt,
+          role: routingService.getRole(signer),
+        });
+      } catch (err) {
+        console.error(`❌ Failed to send reminder to ${signer.email}:`, err.message);
+        continue;
+      }
+
+      signer.reminderCount += 1;
+      signer.lastRemindedAt = now;
+
+      await AuditLog.log({
+        userId: null,
+        documentId: document._id,
+        action: 'reminder_sent',
+        metadata: {
+          signerEmail: signer.email,
+          reminderCount: signer.reminderCount,
+          maxReminders,
+          newLinkIssued: !existingToken,
+        },
+      });
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+const SYSTEMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const invalidRefreshToken = () => new AppError('Invalid refresh token. Please log in again.', 401);
+
+// ---------------------------------------------------------------------------
+// Sessions — one per signed-in device, so signing in on a phone no longer
+// signs the laptop out. Refresh tokens are single use: every refresh issues
+// a new one and stores only its hash. A refresh token that was already
+// swapped for a new one can only be a copy (or the copy was used first), so
+// using it again revokes the session and both copies stop working.
+//
+// Access tokens carry the session id (sid), so revoking a session signs the
+// device out straight away rather than when its access token expires.
+// ---------------------------------------------------------------------------
+class SessionService {
+  // "Chrome on Windows" — for devices that don't send their own name
+  describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_ACCESS_SECRET, {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE,
+    });
+  }
+
+  // jti keeps two tokens issued within the same second apart
+  signRefreshToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId, sid: sessionId, jti: crypto.randomUUID() },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRE }
+    );
+  }
+
+  // Sign a device in. Resolves with the session and its first tokens.
+  async create(user, { deviceName, ipAddress, userAgent } = {}) {
+    const session = new Session({
+      user: user._id,
+      deviceName: deviceName ? String(deviceName).trim().slice(0, 100) : this.describeDevice(userAgent),
+      ipAddress,
+      userAgent,
+    });
+
+    const refreshToken = this.signRefreshToken(user._id, session._id);
+    session.tokenHash = sha256(refreshToken);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await session.save();
+
+    return { session, accessToken: this.signAccessToken(user._id, session._id), refreshToken };
+  }
+
+  // Swap a refresh token for new tokens. A token that was already swapped
+  // revokes its session.
+  async rotate(refreshToken, { ipAddress, userAgent } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(refreshToken), process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Refresh token expired. Please log in again.', 401);
+      }
+      throw invalidRefreshToken();
+    }
+    // Tokens from before sessions existed
+    if (!decoded.sid) throw invalidRefreshToken();
+
+    const newToken = this.signRefreshToken(decoded.id, decoded.sid);
+    const now = new Date();
+
+    // Conditional on the presented token still being the current one, so
+    // two requests can't both rotate it
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: decoded.id,
+        tokenHash: sha256(refreshToken),
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      },
+      {
+        $set: {
+          tokenHash: sha256(newToken),
+          expiresAt: new Date(jwt.decode(newToken).exp * 1000),
+          lastUsedAt: now,
+          ipAddress,
+          userAgent,
+        },
+        $inc: { generation: 1 },
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // Signed by us for this session, but no longer its current token
+      const reused = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user: decoded.id, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+      );
+      if (reused) {
+        console.warn(`⚠️  Refresh token reused for session ${reused._id} — session revoked`);
+        await AuditLog.log({
+          userId: decoded.id,
+          action: 'refresh_token_reused',
+          metadata: { sessionId: reused._id, deviceName: reused.deviceName, generation: reused.generation },
+          ipAddress,
+          userAgent,
+          status: 'failure',
+        });
+      }
+      throw invalidRefreshToken();
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      await this.revoke(session._id, decoded.id, 'account_inactive');
+      throw invalidRefreshToken();
+    }
+
+    return {
+      user,
+      session,
+      accessToken: this.signAccessToken(user._id, session._id),
+      refreshToken: newToken,
+    };
+  }
+
+  // Whether an access token's session can still be used
+  async isActive(sessionId) {
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null }));
+  }
+
+  // The user's signed-in devices, most recently used first
+  async listActive(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+      lastUsedAt: -1,
+    });
+  }
+
+  // Revoke one of the user's sessions. Resolves with it, or null when it
+  // doesn't exist or was already revoked.
+  async revoke(sessionId, userId, reason) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  // Revoke the session a refresh token belongs to (logout). Expired tokens
+  // still sign the device out.
+  async revokeByToken(refreshToken, reason) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(refreshToken), process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+      return null;
+    }
+    return decoded.sid ? this.revoke(decoded.sid, decoded.id, reason) : null;
+  }
+
+  // Revoke every session of a user, optionally except one (the caller's).
+  // Resolves with how many were revoked.
+  async revokeAll(userId, reason, { except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const { modifiedCount } = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return modifiedCount;
+  }
+
+  // Refresh tokens used to be stored in plain text on the user — remove
+  // them, they can't be used any more
+  async removeLegacyTokens() {
+    const { modifiedCount } = await User.collection.updateMany(
+      { refreshToken: { $exists: true } },
+      { $unset: { refreshToken: '' } }
+    );
+    if (modifiedCount > 0) {
+      console.log(`✅ Removed ${modifiedCount} legacy refresh tokens`);
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Document = require('../models/Document');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+
+const CODE_EXPIRES_MINUTES = 10;
+// Minimum time between two codes, and at most this many per signer an hour
+const RESEND_AFTER_MS = 60 * 1000;
+const MAX_CODES_PER_HOUR = 5;
+const HOUR_MS = 60 * 60 * 1000;
+// Text messages a document may send in total, to cap its SMS cost
+const MAX_SMS_PER_DOCUMENT = parseInt(process.env.SMS_MAX_PER_DOCUMENT) || 50;
+// Wrong codes in a row before the check locks, and for how long the first
+// lock lasts (each further one lasts twice as long)
+const MAX_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+// Locks after which an access code stops working until the sender sets a
+// new one — 20 wrong guesses in all
+const MAX_ACCESS_CODE_LOCKS = 4;
+// How long a successful check lasts before the signer has to verify again
+const SESSION_EXPIRES_IN = '1h';
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const sameHash = (a, b) =>
+  Boolean(a && b) && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// ---------------------------------------------------------------------------
+// Signer authentication — an optional check, set per recipient by the owner,
+// on top of the signing link: a 6-digit code emailed or texted to the
+// recipient, or an access code the owner shares out of band. A forwarded link
+// alone then only shows who sent the document.
+//
+// A successful check returns a short-lived auth token, sent back with every
+// signing request for that link (X-Signer-Auth header, or ?auth= for file
+// downloads).
+// ---------------------------------------------------------------------------
+class SignerAuthService {
+  getMethod(signer) {
+    return signer?.authentication?.method || 'none';
+  }
+
+  isRequired(signer) {
+    return this.getMethod(signer) !== 'none';
+  }
+
+  // How the recipient proved who they were, as recorded on the Signature
+  getAuthMethod(signer) {
+    return this.isRequired(signer) ? this.getMethod(signer) : 'email_link';
+  }
+
+  // Whether the request carries a valid auth token for this link and signer
+  isVerified(req, signingToken, signer) {
+    if (!this.isRequired(signer)) return true;
+
+    const authToken = req.get('x-signer-auth') || req.query.auth;
+    if (!authToken) return false;
+
+    try {
+      const decoded = jwt.verify(String(authToken), process.env.JWT_ACCESS_SECRET);
+      return (
+        decoded.purpose === 'signer_auth' &&
+        decoded.tokenHash === sha256(signingToken) &&
+        decoded.email === signer.email
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Locked for now, or — for access codes — for good
+  isLocked(signer) {
+    const { lockedUntil, locks } = signer.authentication;
+    return (
+      Boolean(lockedUntil && lockedUntil > Date.now()) ||
+      (this.getMethod(signer) === 'access_code' && locks >= MAX_ACCESS_CODE_LOCKS)
+    );
+  }
+
+  assertNotLocked(signer) {
+    const { lockedUntil, locks } = signer.authentication;
+    if (this.getMethod(signer) === 'access_code' && locks >= MAX_ACCESS_CODE_LOCKS) {
+      throw new AppError('Too many incorrect access codes. Please ask the sender for a new one.', 429);
+    }
+    if (lockedUntil && lockedUntil > Date.now()) {
+      const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+      throw new AppError(`Too many incorrect codes. Please try again in ${minutes} minutes.`, 429);
+    }
+  }
+
+  // Send a new one-time code by email or SMS, depending on the signer's method
+  async sendCode(document, signer, { ipAddress, userAgent } = {}) {
+    const method = this.getMethod(signer);
+    if (method !== 'email_otp' && method !== 'sms_otp') {
+      throw new AppError('This recipient does not verify with a one-time code.', 400);
+    }
+    if (method === 'sms_otp' && !smsService.isConfigured()) {
+      throw new AppError('Codes by text message are not available. Please contact the sender.', 503);
+    }
+    this.assertNotLocked(signer);
+
+    const auth = signer.authentication;
+    const now = Date.now();
+    if (auth.codeSentAt && now - auth.codeSentAt < RESEND_AFTER_MS) {
+      throw new AppError('A code was just sent. Please wait a minute before requesting another.', 429);
+    }
+    if (!auth.codesWindowStart || now - auth.codesWindowStart >= HOUR_MS) {
+      auth.codesWindowStart = new Date(now);
+      auth.codesSent = 0;
+    }
+    if (auth.codesSent >= MAX_CODES_PER_HOUR) {
+      throw new AppError('Too many codes requested. Please try again in an hour.', 429);
+    }
+
+    // Reserve the text message up front, so parallel requests can't go past
+    // the document's limit
+    if (method === 'sms_otp') {
+      const reserved = await Document.updateOne(
+        { _id: document._id, 'smsUsage.messages': { $not: { $gte: MAX_SMS_PER_DOCUMENT } } },
+        { $inc: { 'smsUsage.messages': 1 } }
+      );
+      if (!reserved.modifiedCount) {
+        throw new AppError('No more text messages can be sent for this document. Please contact the sender.', 429);
+      }
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    auth.codeHash = Document.hashSignerCode(document._id, `${signer._id}:${code}`);
+    auth.codeExpiresAt = new Date(now + CODE_EXPIRES_MINUTES * 60 * 1000);
+    auth.codeSentAt = new Date(now);
+    auth.codesSent += 1;
+    await document.save();
+
+    let sms;
+    try {
+      if (method === 'sms_otp') {
+        sms = await smsService.send(
+          signer.phone,
+          `${code} is your code to open "${document.title.slice(0, 40)}". It expires in ${CODE_EXPIRES_MINUTES} minutes. Don't share it.`
+        );
+      } else {
+        await emailService.sendSignerVerificationCode({
+          to: signer.email,
+          signerName: signer.name || signer.email,
+          documentName: document.title,
+          code,
+          expiresInMinutes: CODE_EXPIRES_MINUTES,
+        });
+      }
+    } catch (err) {
+      console.error(`❌ Failed to send verification code to ${signer.email}:`, err.message);
+      if (method === 'sms_otp') {
+        await Document.updateOne({ _id: document._id }, { $inc: { 'smsUsage.messages': -1 } });
+      }
+      throw new AppError('The verification code could not be sent. Please try again later.', 500);
+    }
+
+    if (sms) {
+      await Document.updateOne(
+        { _id: document._id },
+        {
+          $inc: { 'smsUsage.segments': sms.segments, 'smsUsage.cost': sms.cost },
+          $set: { 'smsUsage.lastSentAt': new Date() },
+        }
+      );
+    }
+
+    const sentTo = sms ? smsService.maskPhone(signer.phone) : signer.email;
+    await AuditLog.log({
+      userId: null,
+      documentId: document._id,
+      action: 'signer_code_sent',
+      metadata: {
+        signerEmail: signer.email,
+        channel: sms ? 'sms' : 'email',
+        sentTo,
+        expiresAt: auth.codeExpiresAt,
+        ...(sms && { provider: sms.provider, messageId: sms.id, segments: sms.segments, cost: sms.cost }),
+      },
+      ipAddress,
+      userAgent,
+    });
+
+    return { expiresAt: auth.codeExpiresAt, sentTo };
+  }
+
+  // Check a one-time code or access code. Returns an auth token for the
+  // signing link; throws on a wrong or expired code.
+  async verify(document, signer, code, signingToken, { ipAddress, userAgent } = {}) {
+    const method = this.getMethod(signer);
+    if (method === 'none') {
+      throw new AppError('No verification is needed for this document.', 400);
+    }
+    const oneTime = method !== 'access_code';
+    const now = new Date();
+
+    // Take an attempt before the code is looked at, in a single conditional
+    // update — parallel guesses can't get past the limit, since once it is
+    // used up (or the check is locked) no more attempts are handed out
+    const reserved = await Document.findOneAndUpdate(
+      {
+        _id: document._id,
+        signers: {
+          $elemMatch: {
+            _id: signer._id,
+            'authentication.attempts': { $not: { $gte: MAX_ATTEMPTS } },
+            'authentication.lockedUntil': { $not: { $gt: now } },
+            ...(!oneTime && { 'authentication.locks': { $not: { $gte: MAX_ACCESS_CODE_LOCKS } } }),
+          },
+        },
+      },
+      { $inc: { 'signers.$.authentication.attempts': 1 } },
+      { new: true }
+    ).select('signers');
+
+    if (!reserved) {
+      const current = await Document.findById(document._id).select('signers');
+      const latest = current?.signers.id(signer._id) || signer;
+      this.assertNotLocked(latest);
+      throw new AppError('Too many attempts. Please wait a moment and try again.', 429);
+    }
+
+    // Compared with the code as stored now, not when the request started
+    const auth = reserved.signers.id(signer._id).authentication;
+    const valid = oneTime
+      ? auth.codeExpiresAt > Date.now() &&
+        sameHash(Document.hashSignerCode(document._id, `${signer._id}:${code}`), auth.codeHash)
+      : sameHash(Document.hashSignerCode(document._id, code), auth.accessCodeHash);
+
+    const where = { _id: document._id, 'signers._id': signer._id };
+
+    if (!valid) {
+      const { attempts } = auth;
+      const locked = attempts >= MAX_ATTEMPTS;
+      // Each lock lasts twice as long as the one before
+      const lockMinutes = LOCK_MINUTES * 2 ** (auth.locks || 0);
+
+      if (locked) {
+        // The one-time code is burnt too — a new one is needed after the lock
+        await Document.updateOne(where, {
+          $set: {
+            'signers.$.authentication.attempts': 0,
+            'signers.$.authentication.lockedUntil': new Date(Date.now() + lockMinutes * 60 * 1000),
+          },
+          $inc: { 'signers.$.authentication.locks': 1 },
+          $unset: { 'signers.$.authentication.codeHash': 1, 'signers.$.authentication.codeExpiresAt': 1 },
+        });
+      }
+      const blocked = locked && !oneTime && (auth.locks || 0) + 1 >= MAX_ACCESS_CODE_LOCKS;
+
+      await AuditLog.log({
+        userId: null,
+        documentId: document._id,
+        action: 'signer_auth_failed',
+        metadata: { signerEmail: signer.email, method, attempts, locked, ...(locked && { lockMinutes, blocked }) },
+        ipAddress,
+        userAgent,
+        status: 'failure',
+      });
+
+      throw new AppError(
+        blocked
+          ? 'Too many incorrect access codes. Please ask the sender for a new one.'
+          : locked
+            ? `Too many incorrect codes. Please try again in ${lockMinutes} minutes.`
+            : `Incorrect or expired code. ${MAX_ATTEMPTS - attempts} attempt${MAX_ATTEMPTS - attempts === 1 ? '' : 's'} left.`,
+        locked ? 429 : 401
+      );
+    }
+
+    // A one-time code only works once — the update is conditional on the
+    // code still being there, so two requests can't both use it
+    const { modifiedCount } = await Document.updateOne(
+      oneTime
+        ? { _id: document._id, signers: { $elemMatch: { _id: signer._id, 'authentication.codeHash': auth.codeHash } } }
+        : where,
+      {
+        $set: {
+          'signers.$.authentication.attempts': 0,
+          'signers.$.authentication.locks': 0,
+          'signers.$.authentication.verifiedAt': new Date(),
+        },
+        $unset: { 'signers.$.authentication.codeHash': 1, 'signers.$.authentication.codeExpiresAt': 1 },
+      }
+    );
+    if (oneTime && !modifiedCount) {
+      throw new AppError('This code has already been used. Please request a new one.', 401);
+    }
+
+    await AuditLog.log({
+      userId: null,
+      documentId: document._id,
+      action: 'signer_authenticated',
+      metadata: { signerEmail: signer.email, method },
+      ipAddress,
+      userAgent,
+    });
+
+    const authToken = jwt.sign(
+      { purpose: 'signer_auth', email: signer.email, tokenHash: sha256(signingToken) },
+      process.env.JWT_ACCESS_SECRET,
+      { expiresIn: SESSION_EXPIRES_IN }
+    );
+
+    return { authToken, expiresAt: new Date(jwt.decode(authToken).exp * 1000) };
+  }
+}
+
+module.exports = new SignerAuthService();
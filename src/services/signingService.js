@@ -0,0 +1,360 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument, PDFName, PDFNumber, PDFHexString, PDFString, PDFArray, PDFDict } = require('pdf-lib');
+const AppError = require('../utils/AppError');
+const der = require('../utils/der');
+const loadSigningConfig = require('../config/signing');
+
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha256WithRSA: '1.2.840.113549.1.1.11',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+};
+
+// Filler written into /ByteRange until the real offsets are known
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+// ---------------------------------------------------------------------------
+// PAdES sealing — every finalized PDF gets a CMS (PKCS#7) signature in a
+// /Sig dictionary covering the whole file through /ByteRange, made with the
+// server's active signing key. PDF readers then report the file as signed
+// and unmodified; any later byte change breaks the signature.
+// ---------------------------------------------------------------------------
+class SigningService {
+  constructor() {
+    this.keys = null;
+    this.config = null;
+  }
+
+  // Load (or reload after a rotation) every configured key
+  reload() {
+    this.config = loadSigningConfig();
+    this.keys = this.config.keys.map((descriptor) => {
+      try {
+        return this.loadKey(descriptor);
+      } catch (error) {
+        console.error(`❌ Could not load signing key "${descriptor.id}":`, error.message);
+        return null;
+      }
+    }).filter(Boolean);
+
+    const active = this.getActiveKey();
+    if (active && this.config.activeKeyId && active.id !== this.config.activeKeyId) {
+      console.warn(`⚠️  Signing key "${this.config.activeKeyId}" is unavailable, retired or expired — using "${active.id}".`);
+    }
+    if (active) {
+      console.log(`✅ PDF signing key "${active.id}" active (${active.subject})`);
+    } else {
+      console.warn('⚠️  No signing key configured — finalized PDFs will not carry a digital signature.');
+    }
+    return this.keys;
+  }
+
+  getKeys() {
+    if (!this.keys) this.reload();
+    return this.keys;
+  }
+
+  // Read a PEM or PKCS#12 key pair and its certificate chain
+  loadKey({ id, p12Path, certPath, keyPath, chainPaths = [], passphrase, retiredAt }) {
+    let privateKey;
+    let certificates;
+
+    if (p12Path) {
+      ({ privateKey, certificates } = this.readPkcs12(fs.readFileSync(p12Path), passphrase || ''));
+    } else if (certPath && keyPath) {
+      privateKey = crypto.createPrivateKey({ key: fs.readFileSync(keyPath), passphrase });
+      certificates = [certPath, ...chainPaths].map(
+        (p) => new crypto.X509Certificate(fs.readFileSync(p))
+      );
+    } else {
+      throw new Error('a key needs either a PKCS#12 file or a certificate and key');
+    }
+
+    // The signing certificate is the one matching the private key
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    const certificate = certificates.find(
+      (c) => c.publicKey.export({ type: 'spki', format: 'der' }).equals(publicKey)
+    );
+    if (!certificate) {
+      throw new Error('no certificate matches the private key');
+    }
+
+    return {
+      id,
+      privateKey,
+      certificate,
+      chain: certificates.filter((c) => c !== certificate),
+      fingerprint: certificate.fingerprint256.replace(/:/g, '').toLowerCase(),
+      subject: certificate.subject.replace(/\n/g, ', '),
+      issuer: certificate.issuer.replace(/\n/g, ', '),
+      validFrom: new Date(certificate.validFrom),
+      validTo: new Date(certificate.validTo),
+      retiredAt,
+    };
+  }
+
+  readPkcs12(buffer, passphrase) {
+    const p12 = forge.pkcs12.pkcs12FromAsn1(
+      forge.asn1.fromDer(buffer.toString('binary')),
+      passphrase
+    );
+
+    const keyBags = [
+      ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+      ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || []),
+    ];
+    if (!keyBags.length) {
+      throw new Error('the PKCS#12 file contains no private key');
+    }
+
+    // forge only decodes RSA keys; others are handed to Node as PKCS#8
+    const [bag] = keyBags;
+    const privateKey = bag.key
+      ? crypto.createPrivateKey(forge.pki.privateKeyToPem(bag.key))
+      : crypto.createPrivateKey({
+        key: Buffer.from(forge.asn1.toDer(bag.asn1).getBytes(), 'binary'),
+        format: 'der',
+        type: 'pkcs8',
+      });
+
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    const certificates = certBags.map((b) => new crypto.X509Certificate(
+      Buffer.from(forge.asn1.toDer(b.asn1 || forge.pki.certificateToAsn1(b.cert)).getBytes(), 'binary')
+    ));
+
+    return { privateKey, certificates };
+  }
+
+  // The key new signatures are made with: the configured active key, or
+  // else the newest key that is not retired and whose certificate is valid
+  getActiveKey(at = new Date()) {
+    const keys = this.getKeys();
+    const usable = (k) =>
+      (!k.retiredAt || k.retiredAt > at) && k.validFrom <= at && k.validTo > at;
+
+    const configured = keys.find((k) => k.id === this.config.activeKeyId);
+    if (configured && usable(configured)) return configured;
+
+    return keys
+      .filter(usable)
+      .sort((a, b) => b.validFrom - a.validFrom)[0] || null;
+  }
+
+  // Find a key (current or rotated out) by its certificate fingerprint
+  findKeyByFingerprint(fingerprint) {
+    return this.getKeys().find((k) => k.fingerprint === fingerprint) || null;
+  }
+
+  isEnabled() {
+    return !!this.getActiveKey();
+  }
+
+  // Sign `content` as CMS SignedData — detached unless `encapsulate` is set.
+  // Returns the raw signature value and build(unsignedAttributes) which
+  // encodes the CMS structure, so attributes over the signature itself (e.g.
+  // a timestamp) can be added.
+  createCms(content, key, { contentType = OIDS.data, encapsulate = false } = {}) {
+    const certDer = key.certificate.raw;
+    const isEc = key.privateKey.asymmetricKeyType === 'ec';
+    const digestAlgorithm = der.sequence(der.oid(OIDS.sha256), der.nullValue());
+    const signatureAlgorithm = isEc
+      ? der.sequence(der.oid(OIDS.ecdsaWithSHA256))
+      : der.sequence(der.oid(OIDS.sha256WithRSA), der.nullValue());
+
+    // issuer and serialNumber straight from the certificate's TBS part
+    const tbs = der.children(der.read(certDer))[0];
+    const tbsFields = der.children(tbs);
+    const offset = tbsFields[0].tag === 0xa0 ? 1 : 0; // optional [0] version
+    const serial = tbsFields[offset];
+    const issuer = tbsFields[offset + 2];
+
+    const attribute = (type, value) => der.sequence(der.oid(type), der.setOf(value));
+    const signedAttributes = [
+      attribute(OIDS.contentType, der.oid(contentType)),
+      attribute(
+        OIDS.messageDigest,
+        der.octetString(crypto.createHash('sha256').update(content).digest())
+      ),
+      // ESS signing-certificate-v2 binds the certificate into the signature (PAdES)
+      attribute(
+        OIDS.signingCertificateV2,
+        der.sequence(der.sequence(der.sequence(
+          der.octetString(crypto.createHash('sha256').update(certDer).digest())
+        )))
+      ),
+    ].sort(Buffer.compare);
+
+    // The signature covers the attributes encoded as a SET; they are stored
+    // as [0] IMPLICIT with the same content
+    const signature = crypto.sign('sha256', der.setOf(...signedAttributes), key.privateKey);
+
+    const build = (unsignedAttributes = []) => {
+      const signerInfo = der.sequence(
+        der.integer(1),
+        der.sequence(issuer.raw, serial.raw),
+        digestAlgorithm,
+        der.context(0, Buffer.concat(signedAttributes)),
+        signatureAlgorithm,
+        der.octetString(signature),
+        ...(unsignedAttributes.length
+          ? [der.context(1, Buffer.concat([...unsignedAttributes].sort(Buffer.compare)))]
+          : [])
+      );
+
+      return der.sequence(
+        der.oid(OIDS.signedData),
+        der.context(0, der.sequence(
+          // Version 3 whenever the content is something other than id-data
+          der.integer(contentType === OIDS.data ? 1 : 3),
+          der.setOf(digestAlgorithm),
+          encapsulate
+            ? der.sequence(der.oid(contentType), der.context(0, der.octetString(content)))
+            : der.sequence(der.oid(contentType)),
+          der.context(0, Buffer.concat([certDer, ...key.chain.map((c) => c.raw)])),
+          der.setOf(signerInfo)
+        ))
+      );
+    };
+
+    return { signature, build };
+  }
+
+  // Add an empty signature dictionary to the PDF and return the bytes with
+  // a zero-filled /Contents placeholder
+  async addPlaceholder(pdfBuffer, { reason, location, contactInfo, name, signedAt, placeholderBytes }) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const { context } = pdfDoc;
+    const [firstPage] = pdfDoc.getPages();
+
+    const byteRange = PDFArray.withContext(context);
+    byteRange.push(PDFNumber.of(0));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+
+    const signatureDict = context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: 'ETSI.CAdES.detached',
+      ByteRange: byteRange,
+      Contents: PDFHexString.of('0'.repeat(placeholderBytes * 2)),
+      Reason: PDFString.of(reason),
+      M: PDFString.fromDate(signedAt),
+      ...(name && { Name: PDFString.of(name) }),
+      ...(location && { Location: PDFString.of(location) }),
+      ...(contactInfo && { ContactInfo: PDFString.of(contactInfo) }),
+    });
+    const signatureRef = context.register(signatureDict);
+
+    // Invisible widget — the visual stamps are already on the pages
+    const widgetRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      Rect: [0, 0, 0, 0],
+      V: signatureRef,
+      T: PDFString.of(`Signature${Date.now()}`),
+      F: 132, // Print + Locked
+      P: firstPage.ref,
+    }));
+
+    const annots = firstPage.node.lookup(PDFName.of('Annots'));
+    if (annots instanceof PDFArray) {
+      annots.push(widgetRef);
+    } else {
+      firstPage.node.set(PDFName.of('Annots'), context.obj([widgetRef]));
+    }
+
+    let acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+    if (!(acroForm instanceof PDFDict)) {
+      acroForm = context.obj({ Fields: [] });
+      pdfDoc.catalog.set(PDFName.of('AcroForm'), acroForm);
+    }
+    let fields = acroForm.lookup(PDFName.of('Fields'));
+    if (!(fields instanceof PDFArray)) {
+      fields = context.obj([]);
+      acroForm.set(PDFName.of('Fields'), fields);
+    }
+    fields.push(widgetRef);
+    acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+    // Object streams would hide the placeholder inside compressed data
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  }
+
+  // Seal a PDF and return the signed bytes with details of the key used.
+  // `timestamp(signature)` may return { attribute, ...details } — a DER
+  // unsigned attribute (an RFC 3161 signature timestamp) to embed.
+  async signPdf(pdfBuffer, { name, timestamp } = {}) {
+    const key = this.getActiveKey();
+    if (!key) {
+      throw new AppError('No signing key is configured.', 500);
+    }
+
+    const { reason, location, contactInfo, placeholderBytes } = this.config;
+    const signedAt = new Date();
+    const pdf = await this.addPlaceholder(pdfBuffer, {
+      reason, location, contactInfo, name, signedAt, placeholderBytes,
+    });
+
+    // Locate the placeholders and fill in the real byte offsets
+    const byteRangeText = `/ByteRange [ 0 /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} ]`;
+    const byteRangePos = pdf.indexOf(byteRangeText, 0, 'latin1');
+    const contentsPos = pdf.indexOf('/Contents <', byteRangePos, 'latin1');
+    if (byteRangePos === -1 || contentsPos === -1) {
+      throw new AppError('Could not prepare the PDF for signing.', 500);
+    }
+
+    const contentsStart = contentsPos + '/Contents '.length;
+    const contentsEnd = pdf.indexOf('>', contentsStart, 'latin1') + 1;
+    const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+
+    const byteRangeValue = `/ByteRange [${byteRange.join(' ')}]`.padEnd(byteRangeText.length, ' ');
+    pdf.write(byteRangeValue, byteRangePos, 'latin1');
+
+    const signedContent = Buffer.concat([
+      pdf.subarray(byteRange[0], byteRange[1]),
+      pdf.subarray(byteRange[2], byteRange[2] + byteRange[3]),
+    ]);
+
+    const { signature, build } = this.createCms(signedContent, key);
+    const signatureTimestamp = timestamp ? await timestamp(signature) : null;
+    const cms = build(signatureTimestamp ? [signatureTimestamp.attribute] : []);
+    const hex = cms.toString('hex');
+    if (hex.length > placeholderBytes * 2) {
+      throw new AppError(
+        `The signature (${cms.length} bytes) does not fit the reserved space — raise SIGNING_PLACEHOLDER_BYTES.`,
+        500
+      );
+    }
+    pdf.write(hex, contentsStart + 1, 'latin1');
+
+    return {
+      pdf,
+      keyId: key.id,
+      certificateFingerprint: key.fingerprint,
+      certificateSubject: key.subject,
+      certificateIssuer: key.issuer,
+      certificateValidTo: key.validTo,
+      byteRange,
+      signedAt,
+      signatureTimestamp,
+    };
+  }
+
+  // Seal a PDF file in place
+  async signFile(filePath, options) {
+    const result = await this.signPdf(fs.readFileSync(filePath), options);
+    fs.writeFileSync(filePath, result.pdf);
+    return { ...result, size: result.pdf.length, pdf: undefined };
+  }
+}
+
+module.exports = new SigningService();
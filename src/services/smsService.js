@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AppError = require('../utils/AppError');
+
+// Characters a single GSM-7 segment can carry; anything else means UCS-2
+const GSM_CHARS = /^[@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&'()*+,\-./0-9:;<=>?¡A-ZÄÖÑÜ§¿a-zäöñüà^{}\\[~\]|€]*$/;
+
+// ---------------------------------------------------------------------------
+// SMS providers — both take { to, body } and resolve with { id, cost }. The
+// cost is what the provider reports, or the configured price per segment.
+// ---------------------------------------------------------------------------
+
+// Development provider — prints messages to the console and, with a file
+// path, appends each one as a JSON line so tests can read the codes back
+class ConsoleSmsProvider {
+  constructor({ filePath, costPerSegment }) {
+    this.filePath = filePath;
+    this.costPerSegment = costPerSegment;
+  }
+
+  get name() {
+    return this.filePath ? 'file' : 'console';
+  }
+
+  async send({ to, body, segments }) {
+    const id = crypto.randomUUID();
+    console.log(`📱 SMS to ${to}: ${body}`);
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(
+        this.filePath,
+        `${JSON.stringify({ id, to, body, sentAt: new Date().toISOString() })}\n`
+      );
+    }
+
+    return { id, cost: this.costPerSegment * segments };
+  }
+}
+
+// A gateway reached over HTTP. POSTs { from, to, body } as JSON and expects
+// a 2xx answer, optionally JSON with { id, cost }. Works against a local
+// mock as well as a real gateway's REST endpoint.
+class HttpSmsProvider {
+  constructor({ url, token, from, timeoutMs, costPerSegment }) {
+    this.url = url;
+    this.token = token;
+    this.from = from;
+    this.timeoutMs = timeoutMs;
+    this.costPerSegment = costPerSegment;
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  async send({ to, body, segments }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ from: this.from, to, body }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    const cost = Number(result.cost);
+    return {
+      id: result.id || result.messageId || null,
+      cost: Number.isFinite(cost) ? cost : this.costPerSegment * segments,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SMS — text messages (signer verification codes) through the provider set
+// by SMS_PROVIDER: 'http' (SMS_HTTP_URL, SMS_HTTP_TOKEN, SMS_FROM), or in
+// development 'file' (SMS_LOG_FILE) or 'console'. Without one, SMS
+// verification is off — codes are never printed in place of being sent.
+// SMS_COST_PER_SEGMENT prices messages when the provider doesn't report a
+// cost.
+// ---------------------------------------------------------------------------
+class SmsService {
+  constructor() {
+    this.provider = undefined;
+  }
+
+  createProvider() {
+    const costPerSegment = parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0;
+
+    if (process.env.SMS_PROVIDER === 'http') {
+      if (!process.env.SMS_HTTP_URL) {
+        throw new Error('SMS_PROVIDER=http needs SMS_HTTP_URL');
+      }
+      return new HttpSmsProvider({
+        url: process.env.SMS_HTTP_URL,
+        token: process.env.SMS_HTTP_TOKEN,
+        from: process.env.SMS_FROM,
+        timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS) || 10 * 1000,
+        costPerSegment,
+      });
+    }
+
+    if (process.env.SMS_PROVIDER === 'console' || process.env.SMS_PROVIDER === 'file') {
+      if (process.env.NODE_ENV !== 'development') {
+        console.warn(`⚠️  SMS_PROVIDER=${process.env.SMS_PROVIDER} only works in development — SMS verification is off`);
+        return null;
+      }
+      return new ConsoleSmsProvider({
+        filePath: process.env.SMS_PROVIDER === 'file'
+          ? path.resolve(process.env.SMS_LOG_FILE || 'logs/sms.log')
+          : undefined,
+        costPerSegment,
+      });
+    }
+
+    if (process.env.SMS_PROVIDER) {
+      throw new Error(`Unknown SMS_PROVIDER "${process.env.SMS_PROVIDER}". Use http, file or console.`);
+    }
+    return null;
+  }
+
+  // The provider, or null when none is configured
+  getProvider() {
+    if (this.provider === undefined) this.provider = this.createProvider();
+    return this.provider;
+  }
+
+  isConfigured() {
+    return Boolean(this.getProvider());
+  }
+
+  // Swap the provider (e.g. for a file provider in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // E.164, e.g. +447700900123
+  isValidPhone(phone) {
+    return typeof phone === 'string' && /^\+[1-9]\d{7,14}$/.test(phone);
+  }
+
+  // "•••• 0123" — enough for a signer to recognise their number
+  maskPhone(phone) {
+    return phone ? `•••• ${phone.slice(-4)}` : null;
+  }
+
+  // Billable segments: 160 GSM-7 characters (153 each when split), or 70
+  // UCS-2 characters (67 when split)
+  countSegments(body) {
+    const [single, multi] = GSM_CHARS.test(body) ? [160, 153] : [70, 67];
+    return body.length <= single ? 1 : Math.ceil(body.length / multi);
+  }
+
+  // Send a message. Resolves with { provider, id, segments, cost }.
+  async send(to, body) {
+    if (!this.isValidPhone(to)) {
+      throw new AppError('Invalid phone number.', 400);
+    }
+
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new AppError('Text messages are not set up on this server.', 503);
+    }
+    const segments = this.countSegments(body);
+    const { id, cost } = await provider.send({ to, body, segments });
+
+    return { provider: provider.name, id, segments, cost };
+  }
+}
+
+module.exports = new SmsService();
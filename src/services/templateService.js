@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const Template = require('../models/Template');
+const AppError = require('../utils/AppError');
+const fieldService = require('./fieldService');
+
+// Same rule as User.email
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+
+// ---------------------------------------------------------------------------
+// Templates — a stored PDF plus a field layout bound to named roles. Creating
+// a document from a template copies the file and fields and binds each role
+// to a real recipient, producing an ordinary draft Document.
+// ---------------------------------------------------------------------------
+class TemplateService {
+  isValidEmail(email) {
+    return typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+  }
+
+  // Validate role names (unique, non-empty)
+  prepareRoles(roles) {
+    const names = roles.map((r) => (r && r.name ? String(r.name).trim() : ''));
+    if (names.some((n) => !n)) {
+      throw new AppError('Every template role needs a name.', 400);
+    }
+    if (new Set(names).size !== names.length) {
+      throw new AppError('Template role names must be unique.', 400);
+    }
+    return roles.map((r, i) => ({ ...r, name: names[i] }));
+  }
+
+  // Validate the field layout against the template's roles. Fields bound to a
+  // role are stored empty; unbound fields are filled by the owner.
+  prepareFields(roles, fields) {
+    const signerRoles = roles
+      .filter((r) => (r.role || 'signer') === 'signer')
+      .map((r) => r.name);
+
+    return fields.map((field) => {
+      fieldService.validateDefinition(field);
+      const roleName = field.roleName ? String(field.roleName).trim() : null;
+
+      if (!roleName) {
+        const ownerField = { ...field, roleName: null, recipientEmail: null };
+        fieldService.setValue(ownerField, field);
+        return ownerField;
+      }
+
+      if (!signerRoles.includes(roleName)) {
+        throw new AppError(
+          `Field ${field.id || ''} is bound to "${roleName}", which is not a signer role on this template.`,
+          400
+        );
+      }
+
+      return {
+        ...field,
+        roleName,
+        recipientEmail: null,
+        signatureDataUrl: null,
+        dateValue: null,
+        textValue: null,
+        checked: false,
+        selectedValue: null,
+      };
+    });
+  }
+
+  // Bind each template role to a recipient. `recipients` maps role name to
+  // { name, email, company }.
+  bindRecipients(template, recipients = {}) {
+    // Role by email — a document lists each recipient once
+    const roleByEmail = new Map();
+
+    return template.roles.map((role) => {
+      const recipient = recipients[role.name];
+      if (!recipient || !this.isValidEmail(recipient.email)) {
+        throw new AppError(`Please provide a valid email for the "${role.name}" role.`, 400);
+      }
+
+      const email = recipient.email.trim().toLowerCase();
+      if (roleByEmail.has(email)) {
+        throw new AppError(
+          `${email} is given for both the "${roleByEmail.get(email)}" and "${role.name}" roles. Each role needs its own recipient.`,
+          400
+        );
+      }
+      roleByEmail.set(email, role.name);
+
+      return {
+        name: recipient.name || '',
+        email,
+        company: recipient.company,
+        role: role.role,
+        order: role.order,
+      };
+    });
+  }
+
+  // Copy the template PDF into the originals folder for a new document
+  copyFile(template) {
+    if (!template.file?.path || !fs.existsSync(template.file.path)) {
+      throw new AppError('Template file not found on server.', 404);
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const filename = `document-${uniqueSuffix}.pdf`;
+    const filePath = path.join('uploads', 'original', filename);
+    fs.copyFileSync(template.file.path, filePath);
+
+    return {
+      filename,
+      path: filePath,
+      size: fs.statSync(filePath).size,
+      mimetype: template.file.mimetype || 'application/pdf',
+    };
+  }
+
+  // Treat a draft document as a template: each signer becomes a role named
+  // after their email, so one of them can be swapped out per copy
+  fromDocument(document) {
+    if (document.isEnvelope) {
+      throw new AppError('Multi-file envelopes cannot be used as a template.', 400);
+    }
+
+    return {
+      title: document.title,
+      description: document.description,
+      file: document.originalFile,
+      roles: document.signers.map((s) => ({
+        name: s.email,
+        role: s.role,
+        order: s.order,
+      })),
+      signatureFields: document.signatureFields.map((f) => {
+        const { recipientEmail, ...field } = f.toObject();
+        return { ...field, roleName: recipientEmail };
+      }),
+      declinePolicy: document.declinePolicy,
+      allowDelegation: document.allowDelegation,
+      reminderSettings: document.reminderSettings,
+      metadata: document.metadata,
+    };
+  }
+
+  // Recipients for every role of a document-derived template, as they are on
+  // the source document
+  getDocumentRecipients(document) {
+    const recipients = {};
+    for (const s of document.signers) {
+      recipients[s.email] = { name: s.name, email: s.email, company: s.company };
+    }
+    return recipients;
+  }
+
+  // Create a draft Document from a template (or a document via fromDocument).
+  // `prefill` maps field ids to plain-text values (e.g. from a CSV row).
+  async createDocument(template, { owner, organization, title, description, recipients, prefill = {} }) {
+    const signers = this.bindRecipients(template, recipients);
+    const emailByRole = {};
+    template.roles.forEach((role, i) => {
+      emailByRole[role.name] = signers[i].email;
+    });
+
+    const originalFile = this.copyFile(template);
+
+    try {
+      const fileHash = crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(originalFile.path))
+        .digest('hex');
+
+      const document = new Document({
+        title: title || template.title,
+        description: description || template.description,
+        owner,
+        organization,
+        originalFile,
+        signers,
+        declinePolicy: template.declinePolicy,
+        allowDelegation: template.allowDelegation,
+        reminderSettings: {
+          intervalDays: template.reminderSettings?.intervalDays,
+          maxReminders: template.reminderSettings?.maxReminders,
+        },
+        metadata: {
+          pageCount: template.metadata?.pageCount,
+          fileHash,
+          lastModified: new Date(),
+        },
+        status: 'draft',
+      });
+
+      const fields = template.signatureFields.map((f) => {
+        const { roleName, _id, ...field } = typeof f.toObject === 'function' ? f.toObject() : f;
+        return { ...field, recipientEmail: roleName ? emailByRole[roleName] : null };
+      });
+      document.signatureFields = fieldService.prepareOwnerFields(document, fields);
+
+      for (const [fieldId, text] of Object.entries(prefill)) {
+        if (text === undefined || text === '') continue;
+        const field = document.signatureFields.find((f) => f.id === fieldId);
+        if (!field) {
+          throw new AppError(`Unknown field "${fieldId}".`, 400);
+        }
+        fieldService.setValue(field, fieldService.valueFromText(field, text));
+        field.filledAt = fieldService.isFilled(field) ? new Date() : undefined;
+      }
+
+      await document.save();
+      if (template instanceof Template) {
+        await Template.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+      }
+
+      return document;
+    } catch (error) {
+      // Don't leave an orphaned copy behind
+      if (fs.existsSync(originalFile.path)) fs.unlinkSync(originalFile.path);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const AppError = require('../utils/AppError');
+const der = require('../utils/der');
+const signingService = require('./signingService');
+
+const OIDS = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signatureTimeStampToken: '1.2.840.113549.1.9.16.2.14',
+  timeStamping: '1.3.6.1.5.5.7.3.8',
+};
+
+// Longest certificate chain followed from a TSA certificate to a trusted one
+const MAX_CHAIN_LENGTH = 5;
+
+const fingerprintOf = (certificate) => certificate.fingerprint256.replace(/:/g, '').toLowerCase();
+
+const HASH_NAMES = {
+  [OIDS.sha1]: 'sha1',
+  [OIDS.sha256]: 'sha256',
+  [OIDS.sha384]: 'sha384',
+  [OIDS.sha512]: 'sha512',
+};
+
+// ---------------------------------------------------------------------------
+// TSA providers — both take a DER TimeStampReq and return a DER
+// TimeStampResp, so the client code is the same against either.
+// ---------------------------------------------------------------------------
+
+// A real TSA reached over HTTP (RFC 3161 section 3.4)
+class HttpTsaProvider {
+  constructor({ url, username, password, timeoutMs }) {
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return this.url;
+  }
+
+  // Trusted through TSA_CA_CERT_PATH / TSA_CERT_FINGERPRINTS only
+  get certificates() {
+    return [];
+  }
+
+  async request(requestDer) {
+    const headers = { 'Content-Type': 'application/timestamp-query' };
+    if (this.username) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: requestDer,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`TSA responded with HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+// In-process stand-in TSA for development and tests. Uses the key from
+// TSA_LOCAL_CERT_PATH / TSA_LOCAL_KEY_PATH, or a throwaway self-signed one.
+class LocalTsaProvider {
+  constructor({ certPath, keyPath, policy }) {
+    this.policy = policy;
+    this.key = certPath && keyPath
+      ? {
+        privateKey: crypto.createPrivateKey(fs.readFileSync(keyPath)),
+        certificate: new crypto.X509Certificate(fs.readFileSync(certPath)),
+        chain: [],
+      }
+      : this.createEphemeralKey();
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  // Its own tokens are trusted without further configuration
+  get certificates() {
+    return [this.key.certificate];
+  }
+
+  createEphemeralKey() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+    cert.serialNumber = crypto.randomBytes(8).toString('hex').replace(/^[89a-f]/, '1');
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    const attrs = [{ name: 'commonName', value: 'SignatureSaaS Local TSA' }];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    cert.setExtensions([{ name: 'extKeyUsage', timeStamping: true, critical: true }]);
+    cert.sign(
+      forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })),
+      forge.md.sha256.create()
+    );
+
+    return {
+      privateKey,
+      certificate: new crypto.X509Certificate(forge.pki.certificateToPem(cert)),
+      chain: [],
+    };
+  }
+
+  async request(requestDer) {
+    const fields = der.children(der.read(requestDer));
+    const messageImprint = fields[1];
+    const nonce = fields.find((f, i) => i > 1 && f.tag === der.TAGS.INTEGER);
+
+    const tstInfo = der.sequence(
+      der.integer(1),
+      der.oid(this.policy),
+      messageImprint.raw,
+      der.integer(crypto.randomBytes(16)),
+      der.generalizedTime(new Date()),
+      ...(nonce ? [nonce.raw] : [])
+    );
+
+    const token = signingService
+      .createCms(tstInfo, this.key, { contentType: OIDS.tstInfo, encapsulate: true })
+      .build();
+
+    // PKIStatusInfo { status granted (0) } followed by the token
+    return der.sequence(der.sequence(der.integer(0)), token);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// RFC 3161 timestamps — trusted proof of when a completed PDF (or its
+// digital signature) existed, issued by a timestamp authority instead of the
+// server clock. TSA_URL points at an HTTP TSA; TSA_URL=local (or
+// TSA_PROVIDER=local) uses the in-process stand-in.
+//
+// A token is only valid when its TSA certificate is trusted: pinned by
+// SHA-256 fingerprint in TSA_CERT_FINGERPRINTS (comma-separated), or issued
+// by a CA certificate from TSA_CA_CERT_PATH (PEM, may hold several).
+// ---------------------------------------------------------------------------
+class TimestampService {
+  constructor() {
+    this.provider = undefined;
+    this.trustAnchors = undefined;
+  }
+
+  // Configured CA certificates and pinned fingerprints, read once
+  getTrustAnchors() {
+    if (this.trustAnchors === undefined) {
+      const pem = process.env.TSA_CA_CERT_PATH ? fs.readFileSync(process.env.TSA_CA_CERT_PATH, 'utf8') : '';
+      this.trustAnchors = {
+        certificates: (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+          .map((block) => new crypto.X509Certificate(block)),
+        fingerprints: new Set(
+          (process.env.TSA_CERT_FINGERPRINTS || '')
+            .split(',')
+            .map((f) => f.replace(/[:\s]/g, '').toLowerCase())
+            .filter(Boolean)
+        ),
+      };
+    }
+    return this.trustAnchors;
+  }
+
+  // Whether a TSA certificate is pinned, or chains (through the token's
+  // other certificates) to a trusted CA
+  isTrusted(certificate, tokenCertificates) {
+    const { certificates, fingerprints } = this.getTrustAnchors();
+    const pinned = new Set([
+      ...fingerprints,
+      ...(this.getProvider()?.certificates || []).map(fingerprintOf),
+    ]);
+
+    let current = certificate;
+    for (let depth = 0; current && depth < MAX_CHAIN_LENGTH; depth++) {
+      if (pinned.has(fingerprintOf(current))) return true;
+      const issuedBy = (ca) => current.checkIssued(ca) && current.verify(ca.publicKey);
+      if (certificates.some(issuedBy)) return true;
+      current = tokenCertificates.find((c) => c !== current && issuedBy(c));
+    }
+    return false;
+  }
+
+  createProvider() {
+    const url = process.env.TSA_URL;
+    const policy = process.env.TSA_POLICY_OID;
+
+    if (process.env.TSA_PROVIDER === 'local' || url === 'local') {
+      return new LocalTsaProvider({
+        certPath: process.env.TSA_LOCAL_CERT_PATH,
+        keyPath: process.env.TSA_LOCAL_KEY_PATH,
+        policy: policy || '1.3.6.1.4.1.99999.1',
+      });
+    }
+
+    if (url) {
+      if (!process.env.TSA_CA_CERT_PATH && !process.env.TSA_CERT_FINGERPRINTS) {
+        console.warn('⚠️  TSA_URL is set without TSA_CA_CERT_PATH or TSA_CERT_FINGERPRINTS — its timestamps will not be trusted.');
+      }
+      return new HttpTsaProvider({
+        url,
+        username: process.env.TSA_USERNAME,
+        password: process.env.TSA_PASSWORD,
+        timeoutMs: parseInt(process.env.TSA_TIMEOUT_MS) || 10 * 1000,
+      });
+    }
+
+    return null;
+  }
+
+  getProvider() {
+    if (this.provider === undefined) this.provider = this.createProvider();
+    return this.provider;
+  }
+
+  // Swap the TSA (e.g. for a LocalTsaProvider in tests); null disables it
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  isEnabled() {
+    return !!this.getProvider();
+  }
+
+  // Request a token for a SHA-256 digest and check the answer matches it
+  async requestToken(digest) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new AppError('No timestamp authority is configured.', 500);
+    }
+
+    const nonce = crypto.randomBytes(8);
+    nonce[0] &= 0x7f; // keep the nonce positive
+    const policy = process.env.TSA_POLICY_OID;
+    const request = der.sequence(
+      der.integer(1),
+      der.sequence(der.sequence(der.oid(OIDS.sha256), der.nullValue()), der.octetString(digest)),
+      ...(policy ? [der.oid(policy)] : []),
+      der.integer(nonce),
+      der.bool(true) // ask for the TSA certificate in the token
+    );
+
+    const response = der.read(await provider.request(request));
+    const [statusInfo, token] = der.children(response);
+    const [status, ...statusText] = der.children(statusInfo);
+    const statusCode = status.value.readUIntBE(0, status.value.length);
+    // 0 = granted, 1 = granted with modifications
+    if (statusCode > 1 || !token) {
+      const text = statusText.length ? ` (${statusText[0].raw.toString('latin1').replace(/[^\x20-\x7e]/g, '')})` : '';
+      throw new Error(`TSA rejected the request with status ${statusCode}${text}`);
+    }
+
+    const details = this.verifyToken(token.raw, digest);
+    if (!details.valid) {
+      throw new Error(`TSA returned an invalid token: ${details.error}`);
+    }
+    if (details.nonce !== nonce.toString('hex').replace(/^0+/, '')) {
+      throw new Error('TSA response does not match the request nonce');
+    }
+
+    return { token: token.raw, ...details, tsa: provider.name };
+  }
+
+  // Timestamp a whole file (the final PDF) — stored with the document
+  async stampFile(filePath) {
+    const digest = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest();
+    const result = await this.requestToken(digest);
+    return this.toRecord(result);
+  }
+
+  // Timestamp a CMS signature value and wrap the token as the unsigned
+  // signature-time-stamp attribute to embed in the PDF signature (PAdES B-T)
+  async stampSignature(signature) {
+    const digest = crypto.createHash('sha256').update(signature).digest();
+    const result = await this.requestToken(digest);
+    return {
+      attribute: der.sequence(der.oid(OIDS.signatureTimeStampToken), der.setOf(result.token)),
+      ...this.toRecord(result),
+    };
+  }
+
+  // What is stored in MongoDB for a token
+  toRecord({ token, time, issuer, serialNumber, policy, hash, hashAlgorithm, tsa }) {
+    return {
+      token: token.toString('base64'),
+      time,
+      issuer,
+      serialNumber,
+      policy,
+      hash,
+      hashAlgorithm,
+      tsa,
+    };
+  }
+
+  // Parse and check a timestamp token: the TSA's signature over TSTInfo, that
+  // the TSA certificate is trusted, meant for timestamping and valid at the
+  // stamped time, and — when `digest` is given — that it covers that digest.
+  // Never throws.
+  verifyToken(token, digest) {
+    try {
+      const tokenDer = Buffer.isBuffer(token) ? token : Buffer.from(token, 'base64');
+      const [, content] = der.children(der.read(tokenDer));
+      const signedData = der.children(der.children(content)[0]);
+
+      const encapContent = der.children(signedData[2]);
+      if (der.decodeOid(encapContent[0]) !== OIDS.tstInfo) {
+        return { valid: false, error: 'Not a timestamp token' };
+      }
+      const tstInfoDer = der.children(encapContent[1])[0].value;
+      const tstInfo = der.children(der.read(tstInfoDer));
+
+      const [imprintAlgorithm, imprintHash] = der.children(tstInfo[2]);
+      const hashAlgorithm = HASH_NAMES[der.decodeOid(der.children(imprintAlgorithm)[0])];
+      const nonce = tstInfo.slice(5).find((f) => f.tag === der.TAGS.INTEGER);
+
+      const details = {
+        time: der.decodeTime(tstInfo[4]),
+        serialNumber: tstInfo[3].value.toString('hex').replace(/^00(?=[89a-f])/, ''),
+        policy: der.decodeOid(tstInfo[1]),
+        hash: imprintHash.value.toString('hex'),
+        hashAlgorithm,
+        nonce: nonce ? nonce.value.toString('hex').replace(/^0+/, '') : null,
+      };
+
+      // Certificates [0] (optional), then the signer infos SET
+      const certificates = signedData
+        .filter((f) => f.tag === 0xa0)
+        .flatMap((f) => der.children(f))
+        .map((c) => new crypto.X509Certificate(c.raw));
+      const signerInfo = der.children(signedData[signedData.length - 1])[0];
+      const signerFields = der.children(signerInfo);
+
+      // Signer identified by issuer and serial number (or key id — then
+      // fall back to the first certificate)
+      const signerId = signerFields[1];
+      const serial = signerId.tag === der.TAGS.SEQUENCE
+        ? der.children(signerId)[1].value.toString('hex').replace(/^00/, '')
+        : null;
+      const certificate = certificates.find(
+        (c) => serial && c.serialNumber.toLowerCase() === serial.toLowerCase()
+      ) || certificates[0];
+      if (!certificate) {
+        return { valid: false, error: 'Token does not include the TSA certificate', ...details };
+      }
+      details.issuer = certificate.subject.replace(/\n/g, ', ');
+      details.issuerCertificate = {
+        subject: details.issuer,
+        issuer: certificate.issuer.replace(/\n/g, ', '),
+        fingerprint: certificate.fingerprint256.replace(/:/g, '').toLowerCase(),
+        validTo: new Date(certificate.validTo),
+      };
+
+      const signerHash = HASH_NAMES[der.decodeOid(der.children(signerFields[2])[0])];
+      const signedAttributes = signerFields.find((f) => f.tag === 0xa0);
+      const signature = signerFields.find((f) => f.tag === der.TAGS.OCTET_STRING);
+
+      // messageDigest attribute must match the TSTInfo
+      const messageDigest = der.children(signedAttributes)
+        .map((a) => der.children(a))
+        .find(([type]) => der.decodeOid(type) === OIDS.messageDigest);
+      const expectedDigest = crypto.createHash(signerHash).update(tstInfoDer).digest();
+      if (!messageDigest || !der.children(messageDigest[1])[0].value.equals(expectedDigest)) {
+        return { valid: false, error: 'Token content does not match its signature', ...details };
+      }
+
+      const signedBytes = Buffer.concat([Buffer.from([der.TAGS.SET]), signedAttributes.raw.subarray(1)]);
+      if (!crypto.verify(signerHash, signedBytes, certificate.publicKey, signature.value)) {
+        return { valid: false, error: 'TSA signature is invalid', ...details };
+      }
+
+      if (!(certificate.keyUsage || []).includes(OIDS.timeStamping)) {
+        return { valid: false, error: 'TSA certificate is not meant for timestamping', ...details };
+      }
+      if (details.time < new Date(certificate.validFrom) || details.time > new Date(certificate.validTo)) {
+        return { valid: false, error: 'TSA certificate was not valid at the stamped time', ...details };
+      }
+      if (!this.isTrusted(certificate, certificates)) {
+        return { valid: false, error: 'TSA certificate is not trusted', ...details };
+      }
+
+      if (digest && !Buffer.from(details.hash, 'hex').equals(digest)) {
+        return { valid: false, error: 'Token was issued for different data', ...details };
+      }
+
+      return { valid: true, ...details };
+    } catch (error) {
+      return { valid: false, error: `Malformed timestamp token: ${error.message}` };
+    }
+  }
+
+  // Check a stored token against the file it was issued for
+  verifyFile(record, filePath) {
+    if (!record?.token) return null;
+    const digest = crypto
+      .createHash(record.hashAlgorithm || 'sha256')
+      .update(fs.readFileSync(filePath))
+      .digest();
+    const { issuerCertificate, nonce, ...result } = this.verifyToken(record.token, digest);
+    return { ...result, tsa: record.tsa };
+  }
+}
+
+module.exports = new TimestampService();
+module.exports.LocalTsaProvider = LocalTsaProvider;
+module.exports.HttpTsaProvider = HttpTsaProvider;
@@ -81,6 +81,38 @@ class TokenService {
     await SignToken.findOneAndUpdate({ token }, { used: true });
   }
 
+  // Mark every outstanding token for a document as used
+  async invalidateDocumentTokens(documentId) {
+    const result = await SignToken.updateMany(
+      { documentId, used: false },
+      { used: true }
+    );
+    return result.modifiedCount;
+  }
+
+  // Mark every outstanding token one recipient holds for a document as used
+  async invalidateSignerTokens(documentId, email) {
+    const result = await SignToken.updateMany(
+      { documentId, email: email.toLowerCase(), used: false },
+      { used: true }
+    );
+    return result.modifiedCount;
+  }
+
+  // The document's tokens that can still be used, to put back with
+  // restoreTokens() if a change has to be undone
+  async getOutstandingTokens(documentId) {
+    const tokens = await SignToken.find({ documentId, used: false }).select('token');
+    return tokens.map((t) => t.token);
+  }
+
+  // Make exactly the given tokens usable again: the ones revoked since are
+  // restored, any issued since are revoked
+  async restoreTokens(documentId, outstanding) {
+    await SignToken.updateMany({ documentId, token: { $in: outstanding } }, { used: false });
+    await SignToken.updateMany({ documentId, token: { $nin: outstanding }, used: false }, { used: true });
+  }
+
   // Get the raw token string for a given documentId + email pair
   async getToken(documentId, email) {
     const tokenDoc = await SignToken.findOne({
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// How long the password step of a two-step login stays valid
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// ---------------------------------------------------------------------------
+// Two-factor authentication — TOTP (RFC 6238: HMAC-SHA1, 6 digits, 30 s
+// steps) as used by Google Authenticator, 1Password, Authy... Secrets are
+// stored encrypted (AES-256-GCM, key from TWO_FACTOR_ENCRYPTION_KEY) since
+// they have to be read back to check codes; recovery codes are only stored
+// as SHA-256 hashes.
+// ---------------------------------------------------------------------------
+class TwoFactorService {
+  getEncryptionKey() {
+    const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET;
+    if (!secret) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not set');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  // New random secret, base32 encoded as authenticator apps expect
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // otpauth:// URI an authenticator app imports from the QR code
+  getProvisioningUri(secret, accountName) {
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'DigiSign';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  async getQrCode(uri) {
+    return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 2 });
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+  }
+
+  // Check a code. Returns the time step it belongs to, or null. Steps up to
+  // lastUsedStep are refused so a code can't be replayed.
+  verifyCode(secret, code, lastUsedStep = 0, now = Date.now()) {
+    const candidate = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(candidate)) return null;
+
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+    }
+    return null;
+  }
+
+  // One-time recovery codes — shown to the user once, stored hashed
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Short-lived token standing in for the password step of a two-step login.
+  // purpose: 'two_factor' (enter a code) or 'two_factor_setup' (2FA is
+  // required but the user hasn't enrolled yet).
+  issueChallengeToken(user, purpose) {
+    return jwt.sign({ id: user._id, purpose }, process.env.JWT_ACCESS_SECRET, {
+      expiresIn: CHALLENGE_EXPIRES_IN,
+    });
+  }
+
+  // Decoded challenge, or null when it's invalid, expired or for another
+  // purpose
+  verifyChallengeToken(token, purposes) {
+    try {
+      const decoded = jwt.verify(String(token), process.env.JWT_ACCESS_SECRET);
+      return purposes.includes(decoded.purpose) ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,153 @@
+const Document = require('../models/Document');
+const timestampService = require('./timestampService');
+const routingService = require('./routingService');
+
+// ---------------------------------------------------------------------------
+// Public verification — anyone holding a PDF can check it against the final
+// files of completed documents (each signed PDF, the certificate of
+// completion and each signed PDF with the certificate appended) by its
+// SHA-256. Original uploads never match: a file only
+// verifies once every recipient has signed it.
+// ---------------------------------------------------------------------------
+class VerificationService {
+  // Public page a stamped printout's QR code points to
+  getVerificationUrl(document) {
+    return `${process.env.BASE_URL}/verify/${document.verificationId}`;
+  }
+
+  isValidHash(hash) {
+    return typeof hash === 'string' && /^[a-f0-9]{64}$/i.test(hash.trim());
+  }
+
+  // "j•••@example.com" — the public can't harvest addresses from copies of
+  // signed documents
+  maskEmail(email) {
+    if (!email) return null;
+    const [local, domain] = String(email).split('@');
+    return `${local.slice(0, 1)}•••@${domain}`;
+  }
+
+  // Find the completed document and the file of it that has this hash
+  async findByHash(hash) {
+    const document = await Document.findOne({
+      status: 'signed',
+      $or: [
+        { 'signedFile.fileHash': hash },
+        { 'files.signedFile.fileHash': hash },
+        { 'certificateFile.fileHash': hash },
+        { 'certifiedFile.fileHash': hash },
+        { 'files.certifiedFile.fileHash': hash },
+      ],
+    });
+
+    if (!document) return null;
+
+    const files = document.getFiles();
+    const file = files.find((f) => f.signedFile?.fileHash === hash);
+    if (file) {
+      return { document, type: 'signed', name: file.name, record: file.signedFile };
+    }
+    const certified = files.find((f) => f.certifiedFile?.fileHash === hash);
+    if (certified) {
+      return {
+        document,
+        type: 'signed_with_certificate',
+        name: `${certified.name.replace(/\.pdf$/i, '')} - with certificate.pdf`,
+        record: certified.certifiedFile,
+      };
+    }
+    return {
+      document,
+      type: 'certificate',
+      name: `${document.title} - certificate.pdf`,
+      record: document.certificateFile,
+    };
+  }
+
+  // Check a file's hash
+  async verify(rawHash) {
+    const hash = rawHash.trim().toLowerCase();
+    const match = await this.findByHash(hash);
+
+    if (!match) {
+      return { verified: false, hash };
+    }
+
+    const { document, type, name, record } = match;
+    let timestamp = null;
+    if (record.timestamp?.token) {
+      // The token covers the same hash, so it can be checked without the
+      // stored copy
+      const { issuerCertificate, nonce, ...result } = timestampService.verifyToken(
+        record.timestamp.token,
+        Buffer.from(hash, 'hex')
+      );
+      timestamp = { ...result, tsa: record.timestamp.tsa };
+    }
+
+    return {
+      verified: true,
+      hash,
+      matchedFile: { type, name },
+      ...this.describe(document),
+      // { valid, time, issuer, serialNumber, ... } or null when not timestamped
+      timestamp,
+    };
+  }
+
+  // Look a completed document up by the short ID printed on its stamped
+  // pages. The final hashes are included so a downloaded copy can be
+  // compared against them.
+  async verifyById(verificationId) {
+    const document = await Document.findOne({
+      verificationId: String(verificationId).trim().toUpperCase(),
+      status: 'signed',
+    });
+
+    if (!document) {
+      return { verified: false, verificationId };
+    }
+
+    return {
+      verified: true,
+      verificationId: document.verificationId,
+      ...this.describe(document),
+      files: document.getFiles().map((f) => ({
+        name: f.name,
+        pageCount: f.pageCount,
+        fileHash: f.signedFile?.fileHash,
+        certifiedFileHash: f.certifiedFile?.fileHash,
+      })),
+    };
+  }
+
+  // What the public gets to see about a completed document
+  describe(document) {
+    return {
+      document: {
+        id: document._id,
+        title: document.title,
+        fileCount: document.getFiles().length,
+        completedAt: document.signedAt || document.signedFile?.signedAt,
+      },
+      signers: document.signers
+        .filter((s) => routingService.mustAct(s) && routingService.hasCompleted(s))
+        .map((s) => ({
+          name: s.name,
+          email: this.maskEmail(s.email),
+          role: routingService.getRole(s),
+          signedAt: s.signedAt,
+          approvedAt: s.approvedAt,
+        })),
+      seal: document.digitalSignature?.keyId
+        ? {
+          subject: document.digitalSignature.subject,
+          issuer: document.digitalSignature.issuer,
+          signedAt: document.digitalSignature.signedAt,
+        }
+        : null,
+    };
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,76 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF/LF line
+ * endings) into an array of rows, each an array of strings. Each row also
+ * has a `line` property — the one-based line of the file it starts on,
+ * counting blank lines and line breaks inside quoted fields.
+ */
+exports.parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  // Strip a UTF-8 byte order mark written by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      row.line = rowLine;
+      rows.push(row);
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by (trimmed) header.
+ * lines[i] is the line of the file records[i] starts on.
+ */
+exports.parseCSV = (text) => {
+  const [header, ...rows] = exports.parseRows(text);
+  if (!header) return { headers: [], records: [], lines: [] };
+
+  const headers = header.map((h) => h.trim());
+  const records = rows.map((values) => {
+    const record = {};
+    headers.forEach((h, i) => {
+      record[h] = values[i] !== undefined ? values[i].trim() : '';
+    });
+    return record;
+  });
+
+  return { headers, records, lines: rows.map((r) => r.line) };
+};
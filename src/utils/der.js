@@ -0,0 +1,184 @@
+/**
+ * Minimal DER (ASN.1) encoding and decoding helpers for the CMS structures
+ * used in PDF signatures. Values are Buffers throughout.
+ */
+
+const TAGS = {
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  while (length > 0) {
+    bytes.unshift(length & 0xff);
+    length = Math.floor(length / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+/**
+ * Encode a tag-length-value from one or more already-encoded contents
+ */
+const tlv = (tag, ...contents) => {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+};
+
+const sequence = (...items) => tlv(TAGS.SEQUENCE, ...items);
+
+// DER requires the elements of a SET OF in ascending byte order
+const setOf = (...items) => tlv(TAGS.SET, ...[...items].sort(Buffer.compare));
+
+/**
+ * Context-specific tag [n] — constructed unless told otherwise
+ */
+const context = (n, contents, constructed = true) =>
+  tlv((constructed ? 0xa0 : 0x80) | n, contents);
+
+const integer = (value) => {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    const hex = BigInt(value).toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+  // Keep positive numbers positive
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return tlv(TAGS.INTEGER, bytes);
+};
+
+const oid = (dotted) => {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f];
+    let rest = Math.floor(part / 128);
+    while (rest > 0) {
+      encoded.unshift((rest & 0x7f) | 0x80);
+      rest = Math.floor(rest / 128);
+    }
+    bytes.push(...encoded);
+  }
+  return tlv(TAGS.OID, Buffer.from(bytes));
+};
+
+const octetString = (buffer) => tlv(TAGS.OCTET_STRING, buffer);
+
+const nullValue = () => Buffer.from([TAGS.NULL, 0]);
+
+const bool = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0]));
+
+const generalizedTime = (date) => {
+  const iso = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+  return tlv(TAGS.GENERALIZED_TIME, Buffer.from(iso, 'ascii'));
+};
+
+/**
+ * Read the element starting at `offset`. Returns its tag, where its value
+ * starts and ends, and the raw bytes of the whole element.
+ */
+const read = (buffer, offset = 0) => {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    headerLength += lengthBytes;
+  }
+
+  const start = offset + headerLength;
+  const end = start + length;
+  if (end > buffer.length) {
+    throw new Error('Truncated DER data');
+  }
+
+  return {
+    tag,
+    start,
+    end,
+    value: buffer.subarray(start, end),
+    raw: buffer.subarray(offset, end),
+  };
+};
+
+/**
+ * List the child elements of a constructed element
+ */
+const children = (element) => {
+  const items = [];
+  let offset = 0;
+  while (offset < element.value.length) {
+    const child = read(element.value, offset);
+    items.push(child);
+    offset = child.end;
+  }
+  return items;
+};
+
+/**
+ * Decode an OID element back to dotted form
+ */
+const decodeOid = (element) => {
+  const bytes = element.value;
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const byte of bytes.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+};
+
+/**
+ * Decode a GeneralizedTime or UTCTime element to a Date
+ */
+const decodeTime = (element) => {
+  const text = element.value.toString('ascii');
+  const match = element.tag === TAGS.UTC_TIME
+    ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+    : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.(\d+))?Z$/);
+  if (!match) throw new Error(`Unsupported time format: ${text}`);
+
+  let year = Number(match[1]);
+  if (element.tag === TAGS.UTC_TIME) year += year < 50 ? 2000 : 1900;
+  const millis = match[7] ? Number(`0.${match[7]}`) * 1000 : 0;
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6], millis));
+};
+
+module.exports = {
+  TAGS,
+  tlv,
+  sequence,
+  setOf,
+  context,
+  integer,
+  oid,
+  octetString,
+  nullValue,
+  bool,
+  generalizedTime,
+  read,
+  children,
+  decodeOid,
+  decodeTime,
+};
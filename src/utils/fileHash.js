@@ -0,0 +1,15 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * SHA-256 (hex) of a buffer
+ */
+exports.sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * SHA-256 (hex) of a file on disk, or null when the file is missing
+ */
+exports.hashFile = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return exports.sha256(fs.readFileSync(filePath));
+};
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-secret';
+
+const Document = require('../src/models/Document');
+const AuditLog = require('../src/models/AuditLog');
+const emailService = require('../src/services/emailService');
+const tokenService = require('../src/services/tokenService');
+const routingService = require('../src/services/routingService');
+const recipientService = require('../src/services/recipientService');
+const signerAuthService = require('../src/services/signerAuthService');
+
+// A request carrying a signer auth token, as the signing page sends it
+const withAuth = (authToken) => ({
+  get: (header) => (header === 'x-signer-auth' ? authToken : undefined),
+  query: {},
+});
+
+let document;
+let signer;
+
+// No database here: saves only run validation (which hashes access codes),
+// and the conditional updates in signerAuthService.verify act on the
+// in-memory document
+beforeEach(async () => {
+  document = new Document({
+    title: 'Lease agreement',
+    owner: new mongoose.Types.ObjectId(),
+    status: 'sent',
+    allowDelegation: true,
+    signers: [{
+      name: 'Ann',
+      email: 'ann@example.com',
+      role: 'signer',
+      authentication: { method: 'access_code', accessCode: 'ann-secret' },
+    }],
+  });
+  await document.validate();
+  signer = document.signers[0];
+
+  mock.method(document, 'save', () => document.validate());
+  mock.method(Document, 'findOneAndUpdate', () => ({ select: async () => document }));
+  mock.method(Document, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditLog, 'log', async () => {});
+  mock.method(AuditLog, 'logOrUndo', async () => {});
+  mock.method(routingService, 'checkpoint', async () => async () => {});
+  mock.method(routingService, 'issueSigningUrl', async () => 'http://localhost/sign/bob-token');
+  mock.method(tokenService, 'invalidateSignerTokens', async () => 1);
+  mock.method(emailService, 'sendDelegatedSigningRequest', async () => {});
+  mock.method(emailService, 'sendDelegationNotification', async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a delegate cannot use the delegator\'s verification', async () => {
+  const { authToken } = await signerAuthService.verify(document, signer, 'ann-secret', 'ann-token');
+  signer.authentication.verifiedAt = new Date();
+  signer.authentication.attempts = 3;
+
+  await recipientService.delegate(document, signer, {
+    name: 'Bob',
+    email: 'bob@example.com',
+    authentication: { method: 'access_code', accessCode: 'bob-secret' },
+  });
+
+  assert.strictEqual(signer.email, 'bob@example.com');
+  assert.strictEqual(signer.authentication.verifiedAt, undefined);
+  assert.strictEqual(signer.authentication.attempts, 0);
+
+  // Ann's auth token doesn't carry over to Bob's link...
+  assert.strictEqual(signerAuthService.isVerified(withAuth(authToken), 'bob-token', signer), false);
+  // ...nor does her access code
+  await assert.rejects(
+    signerAuthService.verify(document, signer, 'ann-secret', 'bob-token'),
+    { statusCode: 401 }
+  );
+  await signerAuthService.verify(document, signer, 'bob-secret', 'bob-token');
+});
+
+test('delegating a slot that needs verification needs a new check for the delegate', async () => {
+  await assert.rejects(
+    recipientService.delegate(document, signer, { name: 'Bob', email: 'bob@example.com' }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    recipientService.delegate(document, signer, {
+      name: 'Bob',
+      email: 'bob@example.com',
+      authentication: { method: 'access_code' },
+    }),
+    { statusCode: 400 }
+  );
+  assert.strictEqual(signer.email, 'ann@example.com');
+});